@@ -0,0 +1,900 @@
+/**
+ * Jukebox client SDK: one room connection over the WebSocket protocol, for
+ * the web client (`index.html`) and for bots and scripts under Bun or
+ * Node 22+. No dependencies; served by the app at `/jukebox-client.js`.
+ *
+ *   import { JukeboxClient } from "./client/dist/jukebox-client.js";
+ *
+ *   const jukebox = new JukeboxClient("http://localhost:15230");
+ *   jukebox.on("queue:updated", ({ queue }) => console.log(queue.length));
+ *   await jukebox.join(roomId, "Bot");
+ *   await jukebox.addTrack("https://youtu.be/dQw4w9WgXcQ");
+ *
+ * - Every server message is emitted as an event named after its `type`,
+ *   after `room` has been updated, plus `message` for all of them and
+ *   `connected` / `disconnected` for the socket
+ * - Commands send a `requestId` and resolve once the server acks it, or
+ *   reject with a `JukeboxError` carrying the `room:error` code
+ * - `room` mirrors the SerializedRoom: replaced on `room:state`, patched by
+ *   every update after it
+ * - A dropped connection is retried and the same user resumed with its
+ *   resume token; a rejected join, a kick, the room closing or `leave()`
+ *   stops that
+ * - `serverNow()` estimates the server's clock from `time:ping` round trips
+ */
+
+/** WebSocket protocol version this client speaks (sent in join) */
+export const PROTOCOL_VERSION = 1;
+
+/** Default delay before reconnecting a dropped socket */
+const RECONNECT_DELAY_MS = 3000;
+
+/** Default time to wait for a command's ack */
+const REQUEST_TIMEOUT_MS = 10_000;
+
+/** Mirrors the server's caps on `room.chat` and `room.history` */
+const CHAT_LIMIT = 100;
+const HISTORY_LIMIT = 200;
+
+// NTP-style: t0 (sent) → serverTime → t3 (received). With the server
+// stamping once, offset = serverTime - (t0 + t3) / 2, accurate to ±rtt/2,
+// so the lowest-RTT recent sample wins.
+const CLOCK_SAMPLES = 8;
+const CLOCK_BURST = 5; // pings on connect, 250ms apart
+const CLOCK_RESYNC_MS = 30_000;
+
+/**
+ * @typedef {object} Track
+ * @property {string} id
+ * @property {"youtube"|"audio"} provider - which player plays it
+ * @property {string} mediaId - YouTube video ID, or the audio file URL
+ * @property {string|null} youtubeId - `mediaId` for YouTube tracks
+ * @property {string} title
+ * @property {string} thumbnail - "" for audio files
+ * @property {number} duration - seconds, 0 until a client reports it
+ * @property {string} addedBy
+ * @property {string} addedByName
+ */
+
+/**
+ * @typedef {object} User
+ * @property {string} id
+ * @property {string} name
+ * @property {string} color
+ */
+
+/**
+ * @typedef {object} ChatMessage
+ * @property {string} id
+ * @property {string} userId
+ * @property {string} userName
+ * @property {string} text
+ * @property {number} timestamp
+ * @property {boolean} [emote]
+ * @property {string[]} [mentions]
+ * @property {Record<string, string[]>} [reactions]
+ */
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} id
+ * @property {string} trackId
+ * @property {"youtube"|"audio"} provider
+ * @property {string} mediaId
+ * @property {string|null} youtubeId
+ * @property {string} title
+ * @property {string} addedByName
+ * @property {number} startedAt
+ * @property {number|null} endedAt - null while it is still current
+ * @property {"finished"|"skipped"|"jumped"|"removed"|null} outcome
+ */
+
+/**
+ * The room as the server serializes it on join (see ARCHITECTURE.md).
+ *
+ * @typedef {object} Room
+ * @property {string} id
+ * @property {string} name
+ * @property {string} hostId
+ * @property {Track[]} queue
+ * @property {number} currentIndex
+ * @property {number} nextIndex
+ * @property {"playing"|"paused"} playbackState
+ * @property {number} elapsed - seconds into the track at `timestamp`
+ * @property {number} timestamp - server clock (ms) when `elapsed` was taken
+ * @property {User[]} users
+ * @property {number} skipVotes
+ * @property {number} skipNeeded
+ * @property {number} crossfadeDuration
+ * @property {"off"|"one"|"all"} repeat
+ * @property {boolean} shuffle
+ * @property {Record<string, any>} settings
+ * @property {Record<string, string>} roles
+ * @property {boolean} hasPassword
+ * @property {boolean} locked
+ * @property {HistoryEntry[]} history
+ * @property {ChatMessage[]} chat
+ */
+
+/**
+ * Event payloads by name, for `on()` / `once()`.
+ *
+ * @typedef {{
+ *   "room:state": { room: Room, userId: string, resumeToken: string, protocolVersion: number },
+ *   "room:error": { code: string, message: string, requestId?: number, retryAfter?: number },
+ *   "room:closed": { reason: string|null },
+ *   "room:locked": { locked: boolean },
+ *   "queue:updated": { queue: Track[], currentIndex: number, nextIndex: number },
+ *   "queue:imported": { added: number, failures: { line: number, input: string, reason: string }[] },
+ *   "playback:sync": { state: "playing"|"paused", currentIndex: number, elapsed: number, timestamp: number, provider: string|null, mediaId: string|null, youtubeId: string|null },
+ *   "time:pong": { t0: number, serverTime: number },
+ *   "user:joined": { user: User },
+ *   "user:left": { userId: string },
+ *   "user:kicked": { reason: "kicked"|"banned" },
+ *   "skip:votes": { current: number, needed: number },
+ *   "chat:message": ChatMessage,
+ *   "chat:reactions": { messageId: string, reactions: Record<string, string[]> },
+ *   "chat:deleted": { messageId: string },
+ *   "chat:system": { text: string, timestamp: number, private?: boolean },
+ *   "crossfade:updated": { duration: number },
+ *   "mode:updated": { repeat: "off"|"one"|"all", shuffle: boolean, nextIndex: number },
+ *   "roles:updated": { hostId: string, roles: Record<string, string> },
+ *   "settings:updated": { settings: Record<string, any> },
+ *   "history:entry": { entry: HistoryEntry },
+ *   "token:created": { token: object, secret: string },
+ *   "tokens:updated": { tokens: object[] },
+ *   "webhook:created": { webhook: object, secret: string },
+ *   "webhooks:updated": { webhooks: object[] },
+ *   "blocklist:updated": { blocklist: object[] },
+ *   "server:announcement": { text: string, timestamp: number },
+ *   "message": { type: string },
+ *   "connected": {},
+ *   "disconnected": { code: number, reconnecting: boolean },
+ * }} ClientEvents
+ */
+
+/**
+ * A `room:error` answer to a command, or a request that never got one
+ * (`DISCONNECTED`, `TIMEOUT`).
+ */
+export class JukeboxError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {object} [extra] - retryAfter, supported, ...
+   */
+  constructor(code, message, extra = {}) {
+    super(message);
+    this.name = "JukeboxError";
+    this.code = code;
+    Object.assign(this, extra);
+  }
+}
+
+export class JukeboxClient {
+  /**
+   * @param {string} url - server address: `http(s)://host[:port]` or the
+   *   socket URL itself, `ws(s)://host[:port]/ws`
+   * @param {object} [options]
+   * @param {number} [options.reconnectDelayMs]
+   * @param {number} [options.requestTimeoutMs]
+   * @param {typeof WebSocket} [options.WebSocket] - for runtimes without a global one
+   */
+  constructor(url, options = {}) {
+    const target = new URL(url);
+    target.protocol = target.protocol.replace(/^http/, "ws");
+    if (target.pathname === "/") target.pathname = "/ws";
+    this.url = target.href;
+
+    this.reconnectDelayMs = options.reconnectDelayMs ?? RECONNECT_DELAY_MS;
+    this.requestTimeoutMs = options.requestTimeoutMs ?? REQUEST_TIMEOUT_MS;
+    this.WebSocket = options.WebSocket ?? globalThis.WebSocket;
+
+    /** @type {Room|null} live mirror of the joined room */
+    this.room = null;
+    /** @type {string|null} */
+    this.userId = null;
+    /** @type {string|null} send to `join()` later to come back as the same user */
+    this.resumeToken = null;
+    /** @type {string|null} the room being joined or joined; null once left */
+    this.roomId = null;
+    /** Best clock estimate: server time = Date.now() + offset; rtt in ms */
+    this.clock = { offset: 0, rtt: null };
+
+    this._ws = null;
+    this._join = null; // { roomId, userName, password }
+    this._joinRequest = null; // { requestId, resolve, reject } while joining
+    this._handlers = new Map();
+    this._pending = new Map();
+    this._nextRequestId = 1;
+    this._reconnectTimer = null;
+    this._clockTimer = null;
+    this._clockSamples = [];
+  }
+
+  // ─── Events ──────────────────────────────────────────────────────────────
+
+  /**
+   * @template {keyof ClientEvents} K
+   * @param {K} type - a server message type, or "message" / "connected" / "disconnected"
+   * @param {(payload: ClientEvents[K]) => void} handler
+   * @returns {() => void} unsubscribe
+   */
+  on(type, handler) {
+    const list = this._handlers.get(type) ?? new Set();
+    list.add(handler);
+    this._handlers.set(type, list);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * @template {keyof ClientEvents} K
+   * @param {K} type
+   * @param {(payload: ClientEvents[K]) => void} handler
+   */
+  off(type, handler) {
+    this._handlers.get(type)?.delete(handler);
+  }
+
+  /**
+   * The next event of a type.
+   * @template {keyof ClientEvents} K
+   * @param {K} type
+   * @returns {Promise<ClientEvents[K]>}
+   */
+  once(type) {
+    return new Promise((resolve) => {
+      const off = this.on(type, (payload) => {
+        off();
+        resolve(payload);
+      });
+    });
+  }
+
+  /**
+   * @param {string} type
+   * @param {object} payload
+   */
+  _emit(type, payload) {
+    for (const handler of this._handlers.get(type) ?? []) {
+      try {
+        handler(payload);
+      } catch (err) {
+        // one broken handler must not stop the others or the mirror
+        setTimeout(() => {
+          throw err;
+        });
+      }
+    }
+  }
+
+  // ─── Connection ──────────────────────────────────────────────────────────
+
+  /**
+   * Connect and join a room. Any previous connection is dropped first.
+   *
+   * @param {string} roomId
+   * @param {string} userName
+   * @param {{ password?: string, resumeToken?: string }} [options]
+   * @returns {Promise<Room>} once `room:state` arrives
+   * @throws {JukeboxError} the join was rejected (ROOM_NOT_FOUND,
+   *   PASSWORD_REQUIRED, BANNED, ...) or the socket closed first
+   */
+  join(roomId, userName, options = {}) {
+    this.leave();
+    this.roomId = roomId;
+    this.resumeToken = options.resumeToken ?? null;
+    this._join = { roomId, userName, password: options.password };
+
+    return new Promise((resolve, reject) => {
+      this._joinRequest = { requestId: null, resolve, reject };
+      this._connect();
+    });
+  }
+
+  /**
+   * Close the connection for good: no reconnect, `room` is cleared. The
+   * server keeps the user for its resume grace period.
+   */
+  leave() {
+    this.roomId = null;
+    this.room = null;
+    this._join = null;
+    clearTimeout(this._reconnectTimer);
+    if (this._joinRequest) {
+      this._joinRequest.reject(new JukeboxError("DISCONNECTED", "Left"));
+      this._joinRequest = null;
+    }
+    this._closeSocket();
+  }
+
+  /** Whether the socket is open and the room joined. */
+  get connected() {
+    return Boolean(
+      this._ws?.readyState === this.WebSocket.OPEN &&
+      this.room &&
+      !this._joinRequest,
+    );
+  }
+
+  _connect() {
+    const ws = new this.WebSocket(this.url);
+    this._ws = ws;
+
+    ws.onopen = () => {
+      this._startClockSync();
+      const requestId = this._nextRequestId++;
+      this._joinRequest ??= { requestId, resolve() {}, reject() {} };
+      this._joinRequest.requestId = requestId;
+      this._sendRaw({
+        type: "join",
+        roomId: this._join.roomId,
+        userName: this._join.userName,
+        resumeToken: this.resumeToken ?? undefined,
+        password: this._join.password || undefined,
+        protocolVersion: PROTOCOL_VERSION,
+        requestId,
+      });
+      this._emit("connected", {});
+    };
+
+    ws.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      this._receive(msg);
+    };
+
+    ws.onclose = (e) => {
+      if (this._ws !== ws) return;
+      this._ws = null;
+      this._stopClockSync();
+      this._rejectPending("DISCONNECTED", "Connection closed");
+
+      const reconnecting = Boolean(this._join);
+      if (reconnecting) {
+        this._reconnectTimer = setTimeout(
+          () => this._connect(),
+          this.reconnectDelayMs,
+        );
+      }
+      this._emit("disconnected", { code: e.code, reconnecting });
+    };
+
+    ws.onerror = () => {
+      ws.close();
+    };
+  }
+
+  _closeSocket() {
+    const ws = this._ws;
+    this._ws = null;
+    this._stopClockSync();
+    this._rejectPending("DISCONNECTED", "Connection closed");
+    if (!ws) return;
+    ws.onclose = null;
+    ws.close();
+    this._emit("disconnected", { code: 1000, reconnecting: false });
+  }
+
+  /**
+   * @param {object} msg
+   * @returns {boolean} false if the socket isn't open
+   */
+  _sendRaw(msg) {
+    if (this._ws?.readyState !== this.WebSocket.OPEN) return false;
+    this._ws.send(JSON.stringify(msg));
+    return true;
+  }
+
+  // ─── Incoming messages ───────────────────────────────────────────────────
+
+  /**
+   * @param {{ type: string, requestId?: number }} msg
+   */
+  _receive(msg) {
+    const join = this._joinRequest;
+
+    switch (msg.type) {
+      case "ack":
+        this._settle(msg.requestId, null);
+        return;
+
+      case "time:pong":
+        this._handleTimePong(msg);
+        break;
+
+      case "room:state":
+        this.room = msg.room;
+        this.userId = msg.userId;
+        if (msg.resumeToken) this.resumeToken = msg.resumeToken;
+        if (join) {
+          this._joinRequest = null;
+          join.resolve(msg.room);
+        }
+        break;
+
+      case "room:error":
+        if (join && msg.requestId === join.requestId) {
+          // Rejected join or resume: don't keep retrying
+          this._joinRequest = null;
+          this._join = null;
+          this.roomId = null;
+          join.reject(new JukeboxError(msg.code, msg.message, errorExtra(msg)));
+          this._emit("message", msg);
+          this._emit(msg.type, msg);
+          this._closeSocket();
+          return;
+        }
+        this._settle(msg.requestId, msg);
+        break;
+
+      default:
+        if (this.room) applyUpdate(this.room, msg);
+        this._capture(msg);
+    }
+
+    this._emit("message", msg);
+    this._emit(msg.type, msg);
+
+    if (msg.type === "user:kicked" || msg.type === "room:closed") {
+      this._join = null;
+      this.roomId = null;
+      this._closeSocket();
+    }
+  }
+
+  // ─── Commands ────────────────────────────────────────────────────────────
+
+  /**
+   * Send a message without waiting for an answer; errors still arrive as
+   * `room:error` events.
+   *
+   * @param {{ type: string }} msg
+   * @returns {boolean} false if not connected (the message is dropped)
+   */
+  send(msg) {
+    return this._sendRaw(msg);
+  }
+
+  /**
+   * Send a message with a `requestId` and wait for the server's ack.
+   *
+   * @param {string} type
+   * @param {object} [fields]
+   * @param {string} [replyType] - also wait for this message (sent before
+   *   the ack) and resolve with it
+   * @returns {Promise<object|null>} the reply, or null without `replyType`
+   * @throws {JukeboxError} the server's `room:error`, or DISCONNECTED /
+   *   TIMEOUT
+   */
+  request(type, fields = {}, replyType) {
+    const requestId = this._nextRequestId++;
+    return new Promise((resolve, reject) => {
+      if (!this._sendRaw({ type, ...fields, requestId })) {
+        reject(new JukeboxError("DISCONNECTED", "Not connected"));
+        return;
+      }
+      const timer = setTimeout(() => {
+        this._pending.delete(requestId);
+        reject(new JukeboxError("TIMEOUT", `No answer to ${type}`));
+      }, this.requestTimeoutMs);
+      this._pending.set(requestId, {
+        resolve,
+        reject,
+        timer,
+        replyType,
+        reply: null,
+      });
+    });
+  }
+
+  /**
+   * Resolve or reject a pending request.
+   * @param {number} [requestId]
+   * @param {object|null} error - a room:error, or null for an ack
+   */
+  _settle(requestId, error) {
+    const pending = this._pending.get(requestId);
+    if (!pending) return;
+    this._pending.delete(requestId);
+    clearTimeout(pending.timer);
+    if (error) {
+      pending.reject(
+        new JukeboxError(error.code, error.message, errorExtra(error)),
+      );
+    } else {
+      pending.resolve(pending.reply);
+    }
+  }
+
+  /**
+   * Keep a message as the reply of the pending request waiting for it.
+   * @param {{ type: string, requestId?: number }} msg
+   */
+  _capture(msg) {
+    const exact = this._pending.get(msg.requestId);
+    if (exact) {
+      exact.reply = msg;
+      return;
+    }
+    for (const pending of this._pending.values()) {
+      if (pending.replyType === msg.type && !pending.reply) {
+        pending.reply = msg;
+        return;
+      }
+    }
+  }
+
+  /**
+   * @param {string} code
+   * @param {string} message
+   */
+  _rejectPending(code, message) {
+    for (const pending of this._pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new JukeboxError(code, message));
+    }
+    this._pending.clear();
+  }
+
+  // Queue
+
+  /** @param {string} url - YouTube URL or video ID, or a direct audio file URL */
+  addTrack(url) {
+    return this.request("queue:add", { url });
+  }
+
+  /**
+   * @param {string} text - URL list, M3U, or a history JSON export
+   * @returns {Promise<{ added: number, failures: object[] }>}
+   */
+  async importTracks(text) {
+    const { added, failures } = await this.request(
+      "queue:import",
+      { text },
+      "queue:imported",
+    );
+    return { added, failures };
+  }
+
+  /** @param {string} trackId */
+  removeTrack(trackId) {
+    return this.request("queue:remove", { trackId });
+  }
+
+  /**
+   * @param {string} trackId
+   * @param {number} toIndex
+   */
+  moveTrack(trackId, toIndex) {
+    return this.request("queue:move", { trackId, toIndex });
+  }
+
+  /** @param {string} trackId */
+  playNext(trackId) {
+    return this.request("queue:playNext", { trackId });
+  }
+
+  /** @param {string} trackId */
+  jumpTo(trackId) {
+    return this.request("queue:jump", { trackId });
+  }
+
+  clearQueue() {
+    return this.request("queue:clear");
+  }
+
+  // Playback
+
+  play() {
+    return this.request("playback:play");
+  }
+
+  pause() {
+    return this.request("playback:pause");
+  }
+
+  /** Cast a skip vote. */
+  skip() {
+    return this.request("playback:skip");
+  }
+
+  /** @param {number} time - seconds */
+  seek(time) {
+    return this.request("playback:seek", { time });
+  }
+
+  /** @param {number} duration - seconds (0–8) */
+  setCrossfade(duration) {
+    return this.request("crossfade:set", { duration });
+  }
+
+  /** @param {{ repeat?: "off"|"one"|"all", shuffle?: boolean }} mode */
+  setMode(mode) {
+    return this.request("mode:set", mode);
+  }
+
+  // Chat
+
+  /** @param {string} text - a message or a slash command */
+  chat(text) {
+    return this.request("chat:message", { text });
+  }
+
+  /**
+   * @param {string} messageId
+   * @param {string} emoji
+   */
+  react(messageId, emoji) {
+    return this.request("chat:react", { messageId, emoji });
+  }
+
+  /** @param {string} messageId */
+  deleteMessage(messageId) {
+    return this.request("chat:delete", { messageId });
+  }
+
+  // Moderation & settings (host)
+
+  /**
+   * @param {string} userId
+   * @param {"listener"|"dj"|"cohost"|"host"} role
+   */
+  setRole(userId, role) {
+    return this.request("user:role", { userId, role });
+  }
+
+  /** @param {string} userId */
+  kick(userId) {
+    return this.request("user:kick", { userId });
+  }
+
+  /**
+   * @param {string} userId
+   * @param {{ byIp?: boolean }} [options]
+   */
+  ban(userId, options = {}) {
+    return this.request("user:ban", { userId, byIp: options.byIp });
+  }
+
+  /** @param {boolean} locked */
+  lock(locked) {
+    return this.request("room:lock", { locked });
+  }
+
+  /** @param {Record<string, any>} settings - only the keys to change */
+  updateSettings(settings) {
+    return this.request("settings:update", { settings });
+  }
+
+  /**
+   * @param {{ name?: string, role?: string }} [options]
+   * @returns {Promise<{ token: object, secret: string }>} the secret is only sent once
+   */
+  async createToken(options = {}) {
+    const { token, secret } = await this.request(
+      "token:create",
+      options,
+      "token:created",
+    );
+    return { token, secret };
+  }
+
+  /** @param {string} tokenId */
+  revokeToken(tokenId) {
+    return this.request("token:revoke", { tokenId });
+  }
+
+  /** @returns {Promise<object[]>} */
+  async listTokens() {
+    return (await this.request("token:list", {}, "tokens:updated")).tokens;
+  }
+
+  /**
+   * @param {string} url
+   * @param {string[]} events
+   * @returns {Promise<{ webhook: object, secret: string }>} the secret is only sent once
+   */
+  async createWebhook(url, events) {
+    const { webhook, secret } = await this.request(
+      "webhook:create",
+      { url, events },
+      "webhook:created",
+    );
+    return { webhook, secret };
+  }
+
+  /** @param {string} webhookId */
+  deleteWebhook(webhookId) {
+    return this.request("webhook:delete", { webhookId });
+  }
+
+  /** @param {string} webhookId */
+  testWebhook(webhookId) {
+    return this.request("webhook:test", { webhookId });
+  }
+
+  /** @returns {Promise<object[]>} */
+  async listWebhooks() {
+    return (await this.request("webhook:list", {}, "webhooks:updated"))
+      .webhooks;
+  }
+
+  /**
+   * @param {"video"|"keyword"} kind
+   * @param {string} value - video URL / ID, or a title pattern (`*` wildcard)
+   */
+  block(kind, value) {
+    return this.request("blocklist:add", { kind, value });
+  }
+
+  /** @param {string} entryId */
+  unblock(entryId) {
+    return this.request("blocklist:remove", { entryId });
+  }
+
+  /** @returns {Promise<object[]>} */
+  async listBlocklist() {
+    return (await this.request("blocklist:list", {}, "blocklist:updated"))
+      .blocklist;
+  }
+
+  // ─── Room helpers ────────────────────────────────────────────────────────
+
+  /** @returns {Track|null} */
+  get currentTrack() {
+    return this.room?.queue[this.room.currentIndex] ?? null;
+  }
+
+  /** Seconds into the current track right now, by the server's clock. */
+  position() {
+    const room = this.room;
+    if (!room) return 0;
+    if (room.playbackState !== "playing") return room.elapsed;
+    return room.elapsed + (this.serverNow() - room.timestamp) / 1000;
+  }
+
+  /** Current time on the server's clock, in ms. */
+  serverNow() {
+    return Date.now() + this.clock.offset;
+  }
+
+  // ─── Clock sync ──────────────────────────────────────────────────────────
+
+  _startClockSync() {
+    this._stopClockSync();
+    this._clockSamples = [];
+    let sent = 0;
+    const ping = () => {
+      this._sendRaw({ type: "time:ping", t0: Date.now() });
+      sent++;
+      this._clockTimer = setTimeout(
+        ping,
+        sent < CLOCK_BURST ? 250 : CLOCK_RESYNC_MS,
+      );
+    };
+    ping();
+  }
+
+  _stopClockSync() {
+    clearTimeout(this._clockTimer);
+    this._clockTimer = null;
+  }
+
+  /**
+   * @param {{ t0: number, serverTime: number }} msg
+   */
+  _handleTimePong(msg) {
+    const t3 = Date.now();
+    const rtt = t3 - msg.t0;
+    if (!(rtt >= 0)) return;
+
+    const samples = this._clockSamples;
+    samples.push({ rtt, offset: msg.serverTime - (msg.t0 + t3) / 2 });
+    if (samples.length > CLOCK_SAMPLES) samples.shift();
+    const best = samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    this.clock.offset = best.offset;
+    this.clock.rtt = best.rtt;
+  }
+}
+
+/**
+ * The fields of a room:error beyond code and message.
+ * @param {object} msg
+ * @returns {object}
+ */
+function errorExtra(msg) {
+  const { type, code, message, requestId, ...extra } = msg;
+  return extra;
+}
+
+/**
+ * Patch the room mirror with a server update.
+ *
+ * @param {Room} room
+ * @param {{ type: string }} msg
+ */
+function applyUpdate(room, msg) {
+  switch (msg.type) {
+    case "queue:updated":
+      room.queue = msg.queue;
+      room.currentIndex = msg.currentIndex;
+      room.nextIndex = msg.nextIndex;
+      break;
+
+    case "playback:sync":
+      room.playbackState = msg.state;
+      room.currentIndex = msg.currentIndex;
+      room.elapsed = msg.elapsed;
+      room.timestamp = msg.timestamp;
+      break;
+
+    case "user:joined":
+      room.users = [
+        ...room.users.filter((u) => u.id !== msg.user.id),
+        msg.user,
+      ];
+      break;
+
+    case "user:left":
+      room.users = room.users.filter((u) => u.id !== msg.userId);
+      break;
+
+    case "skip:votes":
+      room.skipVotes = msg.current;
+      room.skipNeeded = msg.needed;
+      break;
+
+    case "chat:message":
+      room.chat = [...room.chat, msg].slice(-CHAT_LIMIT);
+      break;
+
+    case "chat:reactions": {
+      const message = room.chat.find((m) => m.id === msg.messageId);
+      if (message) message.reactions = msg.reactions;
+      break;
+    }
+
+    case "chat:deleted":
+      room.chat = room.chat.filter((m) => m.id !== msg.messageId);
+      break;
+
+    case "history:entry": {
+      // A started track is a new entry; an ended one replaces it
+      const i = room.history.findIndex((e) => e.id === msg.entry.id);
+      if (i === -1) {
+        room.history = [...room.history, msg.entry].slice(-HISTORY_LIMIT);
+      } else {
+        room.history[i] = msg.entry;
+      }
+      break;
+    }
+
+    case "crossfade:updated":
+      room.crossfadeDuration = msg.duration;
+      break;
+
+    case "mode:updated":
+      room.repeat = msg.repeat;
+      room.shuffle = msg.shuffle;
+      room.nextIndex = msg.nextIndex;
+      break;
+
+    case "roles:updated":
+      room.hostId = msg.hostId;
+      room.roles = msg.roles;
+      break;
+
+    case "settings:updated":
+      room.settings = msg.settings;
+      break;
+
+    case "room:locked":
+      room.locked = msg.locked;
+      break;
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Stand-in room bus broker for multi-instance deployments and local testing
+ * (`bun run broker`). Relays `pub` frames to subscribers and keeps room
+ * claims in memory; see `BrokerBus` in `bus.js` for the protocol.
+ *
+ * Claims belong to the connection that made them: when an instance
+ * disconnects its rooms are released and every other instance gets
+ * `down { instanceId }`. State is not persisted, so restarting the broker
+ * makes instances re-claim their rooms on reconnect.
+ */
+
+import { log } from "./logger.js";
+
+const PORT = Number(process.env.BROKER_PORT) || 15240;
+
+/** Channel every instance is subscribed to for `down` notices */
+const INSTANCES_CHANNEL = "_instances";
+
+/** @type {Map<string, { instanceId: string, ws: any }>} roomId → claim */
+const claims = new Map();
+
+const server = Bun.serve({
+  port: PORT,
+
+  fetch(req, server) {
+    if (server.upgrade(req, { data: { instanceId: null } })) return;
+    return new Response("Room bus broker", { status: 426 });
+  },
+
+  websocket: {
+    message(ws, raw) {
+      let frame;
+      try {
+        frame = JSON.parse(String(raw));
+      } catch {
+        return;
+      }
+      handleFrame(ws, frame);
+    },
+
+    close(ws) {
+      for (const [roomId, claim] of claims) {
+        if (claim.ws === ws) claims.delete(roomId);
+      }
+      if (ws.data.instanceId) {
+        server.publish(
+          INSTANCES_CHANNEL,
+          JSON.stringify({ op: "down", instanceId: ws.data.instanceId }),
+        );
+      }
+    },
+  },
+});
+
+/**
+ * @param {import("bun").ServerWebSocket} ws
+ * @param {{ op: string }} frame
+ */
+function handleFrame(ws, frame) {
+  switch (frame.op) {
+    case "hello":
+      ws.data.instanceId = String(frame.instanceId);
+      ws.subscribe(INSTANCES_CHANNEL);
+      break;
+
+    case "sub":
+      ws.subscribe(String(frame.channel));
+      break;
+
+    case "pub":
+      server.publish(
+        String(frame.channel),
+        JSON.stringify({
+          op: "msg",
+          channel: frame.channel,
+          message: frame.message,
+        }),
+      );
+      break;
+
+    case "claim": {
+      const claim = claims.get(frame.roomId);
+      const ok = !claim || claim.instanceId === ws.data.instanceId;
+      if (ok) {
+        claims.set(frame.roomId, { instanceId: ws.data.instanceId, ws });
+      }
+      reply(ws, frame, { ok, owner: claims.get(frame.roomId).instanceId });
+      break;
+    }
+
+    case "release":
+      if (claims.get(frame.roomId)?.ws === ws) claims.delete(frame.roomId);
+      break;
+
+    case "owner":
+      reply(ws, frame, { owner: claims.get(frame.roomId)?.instanceId ?? null });
+      break;
+  }
+}
+
+/**
+ * Answer a request frame (one with a `reqId`).
+ * @param {import("bun").ServerWebSocket} ws
+ * @param {{ reqId?: string }} frame
+ * @param {object} payload
+ */
+function reply(ws, frame, payload) {
+  if (frame.reqId === undefined) return;
+  ws.send(JSON.stringify({ op: "reply", reqId: frame.reqId, ...payload }));
+}
+
+log.info("broker.started", { url: `ws://localhost:${PORT}` });
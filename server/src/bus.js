@@ -0,0 +1,260 @@
+/**
+ * Pluggable room bus: which instance owns each room, and messages between
+ * instances. Lets several server processes share rooms behind one load
+ * balancer (see `cluster.js`).
+ *
+ * Every backend exposes the same interface:
+ *   instanceId: string                           — this process
+ *   claimRoom(roomId): Promise<boolean>          — become the owner unless another instance is
+ *   releaseRoom(roomId): void                    — give up ownership (no-op if not ours)
+ *   ownerOf(roomId): Promise<string|null>        — owning instance, or null
+ *   publish(channel, message): void              — fire-and-forget JSON message
+ *   subscribe(channel, handler): void            — handler(message)
+ *   onInstanceDown(handler): void                — handler(instanceId) when a peer goes away
+ *   close(): void
+ */
+
+import { nanoid } from "nanoid";
+import { log } from "./logger.js";
+
+/** Give up on a broker request after this long */
+const REQUEST_TIMEOUT_MS = 5000;
+
+/** Messages published while the broker is unreachable; beyond this the oldest are dropped */
+const MAX_PENDING = 1000;
+
+/** Reconnect delay after losing the broker, doubling up to the max */
+const RECONNECT_BASE_MS = 500;
+const RECONNECT_MAX_MS = 10_000;
+
+/**
+ * Single-process backend (the default): every room is owned here and
+ * messages are delivered to this process's own subscribers.
+ */
+export class LocalBus {
+  /**
+   * @param {{ instanceId?: string }} [options]
+   */
+  constructor({ instanceId = nanoid(8) } = {}) {
+    this.instanceId = instanceId;
+    /** @type {Set<string>} */
+    this.rooms = new Set();
+    /** @type {Map<string, Function[]>} */
+    this.handlers = new Map();
+  }
+
+  async claimRoom(roomId) {
+    this.rooms.add(roomId);
+    return true;
+  }
+
+  releaseRoom(roomId) {
+    this.rooms.delete(roomId);
+  }
+
+  async ownerOf(roomId) {
+    return this.rooms.has(roomId) ? this.instanceId : null;
+  }
+
+  publish(channel, message) {
+    for (const handler of this.handlers.get(channel) ?? []) handler(message);
+  }
+
+  subscribe(channel, handler) {
+    const list = this.handlers.get(channel) ?? [];
+    list.push(handler);
+    this.handlers.set(channel, list);
+  }
+
+  onInstanceDown() {}
+
+  close() {}
+}
+
+/**
+ * Cross-process backend: talks JSON over a WebSocket to a broker
+ * (`broker.js`, or anything speaking the same protocol). The broker keeps
+ * room claims per connection, so an instance that disconnects loses its
+ * rooms and its peers are told it is down.
+ *
+ * Client → broker: `hello { instanceId }`, `sub { channel }`,
+ * `pub { channel, message }`, `claim { roomId, reqId }`, `release { roomId }`,
+ * `owner { roomId, reqId }`.
+ * Broker → client: `msg { channel, message }`, `reply { reqId, ok?, owner }`,
+ * `down { instanceId }`.
+ */
+export class BrokerBus {
+  /**
+   * @param {{ url: string, instanceId?: string }} options
+   */
+  constructor({ url, instanceId = nanoid(8) }) {
+    if (!url) throw new Error("The broker room bus needs ROOM_BUS_URL");
+    this.url = url;
+    this.instanceId = instanceId;
+    /** @type {Map<string, Function[]>} */
+    this.handlers = new Map();
+    /** @type {Set<string>} rooms we own, re-claimed after a reconnect */
+    this.claimed = new Set();
+    /** @type {Map<string, { resolve: Function, timer: any }>} */
+    this.requests = new Map();
+    /** @type {string[]} frames waiting for the connection */
+    this.pending = [];
+    this.downHandlers = [];
+    this.ws = null;
+    this.closed = false;
+    this.retryMs = RECONNECT_BASE_MS;
+    this._connect();
+  }
+
+  _connect() {
+    const ws = new WebSocket(this.url);
+    this.ws = ws;
+
+    ws.onopen = () => {
+      this.retryMs = RECONNECT_BASE_MS;
+      ws.send(JSON.stringify({ op: "hello", instanceId: this.instanceId }));
+      for (const channel of this.handlers.keys()) {
+        ws.send(JSON.stringify({ op: "sub", channel }));
+      }
+      for (const roomId of this.claimed) {
+        ws.send(JSON.stringify({ op: "claim", roomId }));
+      }
+      for (const frame of this.pending.splice(0)) ws.send(frame);
+    };
+
+    ws.onmessage = (e) => {
+      let frame;
+      try {
+        frame = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      this._receive(frame);
+    };
+
+    ws.onclose = () => {
+      if (this.closed) return;
+      log.warn("bus.disconnected", { url: this.url, retryMs: this.retryMs });
+      setTimeout(() => this._connect(), this.retryMs);
+      this.retryMs = Math.min(this.retryMs * 2, RECONNECT_MAX_MS);
+    };
+
+    ws.onerror = () => {
+      ws.close();
+    };
+  }
+
+  /**
+   * @param {{ op: string }} frame
+   */
+  _receive(frame) {
+    switch (frame.op) {
+      case "msg":
+        for (const handler of this.handlers.get(frame.channel) ?? []) {
+          handler(frame.message);
+        }
+        break;
+
+      case "reply": {
+        const request = this.requests.get(frame.reqId);
+        if (!request) return;
+        clearTimeout(request.timer);
+        this.requests.delete(frame.reqId);
+        request.resolve(frame);
+        break;
+      }
+
+      case "down":
+        for (const handler of this.downHandlers) handler(frame.instanceId);
+        break;
+    }
+  }
+
+  /**
+   * @param {object} frame
+   */
+  _send(frame) {
+    const data = JSON.stringify(frame);
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(data);
+      return;
+    }
+    this.pending.push(data);
+    if (this.pending.length > MAX_PENDING) this.pending.shift();
+  }
+
+  /**
+   * Send a frame that the broker answers with `reply`.
+   * @param {object} frame
+   * @returns {Promise<object>}
+   * @throws {Error} when the broker doesn't answer in time
+   */
+  _request(frame) {
+    const reqId = nanoid(10);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.requests.delete(reqId);
+        reject(new Error(`Room bus: no reply to ${frame.op}`));
+      }, REQUEST_TIMEOUT_MS);
+      this.requests.set(reqId, { resolve, timer });
+      this._send({ ...frame, reqId });
+    });
+  }
+
+  async claimRoom(roomId) {
+    const { ok } = await this._request({ op: "claim", roomId });
+    if (ok) this.claimed.add(roomId);
+    return ok;
+  }
+
+  releaseRoom(roomId) {
+    this.claimed.delete(roomId);
+    this._send({ op: "release", roomId });
+  }
+
+  async ownerOf(roomId) {
+    const { owner } = await this._request({ op: "owner", roomId });
+    return owner ?? null;
+  }
+
+  publish(channel, message) {
+    this._send({ op: "pub", channel, message });
+  }
+
+  subscribe(channel, handler) {
+    const list = this.handlers.get(channel);
+    if (list) {
+      list.push(handler);
+      return;
+    }
+    this.handlers.set(channel, [handler]);
+    this._send({ op: "sub", channel });
+  }
+
+  onInstanceDown(handler) {
+    this.downHandlers.push(handler);
+  }
+
+  close() {
+    this.closed = true;
+    this.ws?.close();
+  }
+}
+
+/**
+ * Build a room bus by name.
+ *
+ * @param {{ driver?: string, url?: string, instanceId?: string }} options
+ *   driver: "local" (default) | "broker"
+ * @returns {LocalBus|BrokerBus}
+ */
+export function createBus({ driver = "local", url, instanceId } = {}) {
+  switch (driver) {
+    case "local":
+      return new LocalBus({ instanceId });
+    case "broker":
+      return new BrokerBus({ url, instanceId });
+    default:
+      throw new Error(`Unknown room bus driver: ${driver}`);
+  }
+}
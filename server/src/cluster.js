@@ -0,0 +1,326 @@
+/**
+ * Multi-instance rooms over a room bus (`bus.js`).
+ *
+ * Each room lives on the one instance that claimed it (its owner), which
+ * runs the room's RoomManager state, timers and clock. A socket or HTTP
+ * request that lands on another instance (an edge) is relayed to the owner:
+ *
+ * - Sockets: once `join` names a room owned elsewhere, the edge forwards
+ *   every message to the owner, where a `RemoteSocket` stands in for the
+ *   real one, so broadcasts, acks and errors travel back the same way
+ * - HTTP: `/api/rooms/:id/...` requests are replayed on the owner and the
+ *   response copied back
+ * - Feeds: an SSE `FeedStream` is attached like a socket and the owner
+ *   watches the room with a `RemoteSocket` for it
+ *
+ * Messages go to `instance:<id>` channels. When an instance goes down, its
+ * edges close the sockets they relayed to it (clients reconnect) and owners
+ * drop the sockets that were relayed through it (users enter the resume
+ * grace period).
+ */
+
+import { nanoid } from "nanoid";
+import { log } from "./logger.js";
+
+/** Give up on a relayed HTTP request after this long */
+const HTTP_TIMEOUT_MS = 10_000;
+
+/** Close code for sockets whose room owner went away */
+const CLOSE_OWNER_DOWN = 1012;
+
+/**
+ * The owner's stand-in for a socket connected to another instance.
+ * Quacks like a Bun `ServerWebSocket` as far as RoomManager is concerned.
+ */
+class RemoteSocket {
+  /**
+   * @param {RoomCluster} cluster
+   * @param {string} edgeId - instance holding the real socket
+   * @param {string} connId
+   * @param {string} ip
+   */
+  constructor(cluster, edgeId, connId, ip) {
+    this.cluster = cluster;
+    this.edgeId = edgeId;
+    this.connId = connId;
+    this.data = { ip };
+  }
+
+  /**
+   * @param {string} data - serialized message
+   */
+  send(data) {
+    this.cluster._publish(this.edgeId, {
+      kind: "deliver",
+      connId: this.connId,
+      data,
+    });
+  }
+
+  close() {
+    this.cluster._publish(this.edgeId, { kind: "close", connId: this.connId });
+  }
+}
+
+export class RoomCluster {
+  /**
+   * @param {object} options
+   * @param {import("./bus.js").LocalBus|import("./bus.js").BrokerBus} options.bus
+   * @param {import("./rooms.js").RoomManager} options.rooms
+   * @param {(ws: any, msg: object) => Promise<void>} options.dispatch - handle a client message
+   * @param {(req: Request, ip: string) => Promise<Response>} options.fetch - handle an HTTP request
+   */
+  constructor({ bus, rooms, dispatch, fetch }) {
+    this.bus = bus;
+    this.rooms = rooms;
+    this.dispatch = dispatch;
+    this.fetch = fetch;
+
+    /** @type {Map<string, any>} edge side: connId → real socket */
+    this.relayed = new Map();
+    /** @type {Map<string, RemoteSocket>} owner side: "edgeId:connId" → stand-in */
+    this.remotes = new Map();
+    /** @type {Map<string, { resolve: Function, timer: any }>} relayed HTTP requests */
+    this.requests = new Map();
+
+    bus.subscribe(`instance:${bus.instanceId}`, (message) => {
+      this._receive(message).catch((err) => {
+        log.error("bus.message_failed", { kind: message.kind, err });
+      });
+    });
+    bus.onInstanceDown((instanceId) => this._instanceDown(instanceId));
+  }
+
+  /**
+   * The instance that owns a room, if it isn't this one.
+   * @param {string} roomId
+   * @returns {Promise<string|null>} null when the room is local or unknown
+   */
+  async remoteOwner(roomId) {
+    if (this.rooms.getRoom(roomId)) return null;
+    try {
+      const owner = await this.bus.ownerOf(roomId);
+      return owner && owner !== this.bus.instanceId ? owner : null;
+    } catch (err) {
+      log.error("bus.owner_lookup_failed", { roomId, err });
+      return null;
+    }
+  }
+
+  // ─── Edge side ───────────────────────────────────────────────────────────
+
+  /**
+   * Relay this socket's messages to `ownerId` from now on.
+   * @param {import("bun").ServerWebSocket} ws
+   * @param {string} ownerId
+   */
+  attach(ws, ownerId) {
+    ws.data.owner = ownerId;
+    ws.data.connId = nanoid(12);
+    this.relayed.set(ws.data.connId, ws);
+  }
+
+  /**
+   * @param {import("bun").ServerWebSocket} ws - an attached socket
+   * @param {object} msg - validated client message
+   */
+  forward(ws, msg) {
+    this._publish(ws.data.owner, {
+      kind: "message",
+      from: this.bus.instanceId,
+      connId: ws.data.connId,
+      ip: ws.data.ip,
+      msg,
+    });
+  }
+
+  /**
+   * Watch a room owned by `ownerId` on behalf of a local feed sink (see
+   * `RoomManager.watchRoom`). Detach the sink when it closes.
+   * @param {import("./feed.js").FeedStream} feed
+   * @param {string} ownerId
+   * @param {string} roomId
+   * @param {string} [token]
+   */
+  watch(feed, ownerId, roomId, token) {
+    this.attach(feed, ownerId);
+    this._publish(ownerId, {
+      kind: "watch",
+      from: this.bus.instanceId,
+      connId: feed.data.connId,
+      ip: feed.data.ip,
+      roomId,
+      token,
+    });
+  }
+
+  /**
+   * The real socket closed; tell the owner.
+   * @param {import("bun").ServerWebSocket} ws - an attached socket
+   */
+  detach(ws) {
+    if (!this.relayed.delete(ws.data.connId)) return;
+    this._publish(ws.data.owner, {
+      kind: "closed",
+      from: this.bus.instanceId,
+      connId: ws.data.connId,
+    });
+  }
+
+  /**
+   * Replay an HTTP request on the room's owner.
+   * @param {string} ownerId
+   * @param {Request} req
+   * @param {string} ip
+   * @returns {Promise<Response>}
+   */
+  async forwardHttp(ownerId, req, ip) {
+    const reqId = nanoid(12);
+    const body = ["GET", "HEAD"].includes(req.method) ? null : await req.text();
+
+    const reply = await new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.requests.delete(reqId);
+        resolve(null);
+      }, HTTP_TIMEOUT_MS);
+      this.requests.set(reqId, { resolve, timer });
+      this._publish(ownerId, {
+        kind: "http",
+        from: this.bus.instanceId,
+        reqId,
+        ip,
+        method: req.method,
+        url: req.url,
+        headers: Array.from(req.headers),
+        body,
+      });
+    });
+
+    if (!reply) {
+      return Response.json(
+        { error: "Room owner unavailable" },
+        { status: 504 },
+      );
+    }
+    return new Response(reply.body, {
+      status: reply.status,
+      headers: reply.headers,
+    });
+  }
+
+  // ─── Owner side ──────────────────────────────────────────────────────────
+
+  /**
+   * @param {{ kind: string }} message
+   */
+  async _receive(message) {
+    switch (message.kind) {
+      case "message": {
+        await this.dispatch(this._remote(message), message.msg);
+        break;
+      }
+
+      case "watch": {
+        const ws = this._remote(message);
+        try {
+          this.rooms.watchRoom(message.roomId, ws, message.token);
+        } catch (err) {
+          this.rooms.sendTo(ws, {
+            type: "room:error",
+            code: err.code,
+            message: err.message,
+          });
+        }
+        break;
+      }
+
+      case "closed": {
+        const key = `${message.from}:${message.connId}`;
+        const ws = this.remotes.get(key);
+        if (!ws) return;
+        this.remotes.delete(key);
+        this.rooms.leaveByWs(ws);
+        break;
+      }
+
+      case "http": {
+        const req = new Request(message.url, {
+          method: message.method,
+          headers: message.headers,
+          body: message.body,
+        });
+        const res = await this.fetch(req, message.ip);
+        this._publish(message.from, {
+          kind: "httpReply",
+          reqId: message.reqId,
+          status: res.status,
+          headers: Array.from(res.headers),
+          body: await res.text(),
+        });
+        break;
+      }
+
+      // Back on the edge
+      case "deliver": {
+        const ws = this.relayed.get(message.connId);
+        if (ws) ws.send(message.data);
+        break;
+      }
+
+      case "close": {
+        const ws = this.relayed.get(message.connId);
+        if (ws) ws.close();
+        break;
+      }
+
+      case "httpReply": {
+        const request = this.requests.get(message.reqId);
+        if (!request) return;
+        clearTimeout(request.timer);
+        this.requests.delete(message.reqId);
+        request.resolve(message);
+        break;
+      }
+    }
+  }
+
+  /**
+   * The stand-in for a relayed connection, created on its first message.
+   * @param {{ from: string, connId: string, ip?: string }} message
+   * @returns {RemoteSocket}
+   */
+  _remote(message) {
+    const key = `${message.from}:${message.connId}`;
+    let ws = this.remotes.get(key);
+    if (!ws) {
+      ws = new RemoteSocket(this, message.from, message.connId, message.ip);
+      this.remotes.set(key, ws);
+    }
+    return ws;
+  }
+
+  /**
+   * @param {string} instanceId
+   */
+  _instanceDown(instanceId) {
+    log.warn("bus.instance_down", { instanceId });
+    for (const ws of this.relayed.values()) {
+      if (ws.data.owner === instanceId) {
+        ws.close(CLOSE_OWNER_DOWN, "Room owner went away");
+      }
+    }
+    for (const [key, ws] of this.remotes) {
+      if (ws.edgeId !== instanceId) continue;
+      this.remotes.delete(key);
+      this.rooms.leaveByWs(ws);
+    }
+  }
+
+  /**
+   * @param {string} instanceId
+   * @param {object} message
+   */
+  _publish(instanceId, message) {
+    this.bus.publish(`instance:${instanceId}`, message);
+  }
+}
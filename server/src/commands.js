@@ -0,0 +1,220 @@
+/**
+ * Chat slash commands ("/skip", "/add <url>", ...).
+ * Each command runs through the same permission-checked RoomManager methods
+ * as the matching WebSocket message. Replies go only to the issuer; effects
+ * are announced to the room as system messages.
+ */
+
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+/** Upcoming tracks listed by /queue */
+const QUEUE_LISTING = 10;
+
+/**
+ * @typedef {object} CommandContext
+ * @property {import("./rooms.js").RoomManager} rooms
+ * @property {string} userId - the issuer
+ * @property {(url: string) => Promise<object>} addTrack - resolve and queue a URL as the issuer
+ * @property {object} [room] - the issuer's room, set by `runCommand`
+ */
+
+/**
+ * Command name → usage, help text and handler. Handlers throw
+ * ProtocolError for anything the issuer should be told about.
+ *
+ * @type {Record<string, { usage: string, description: string, run: (ctx: CommandContext, args: string) => void|Promise<void> }>}
+ */
+export const COMMANDS = {
+  add: {
+    usage: "/add <url>",
+    description: "Add a YouTube or audio file link to the queue",
+    async run(ctx, args) {
+      if (!args) throw usageError("add");
+      const track = await ctx.addTrack(args);
+      announce(ctx, `added “${track.title}”`);
+    },
+  },
+  skip: {
+    usage: "/skip",
+    description: "Vote to skip the current track",
+    run(ctx) {
+      const { room } = ctx;
+      const { title } = room.queue[room.currentIndex] ?? {};
+      ctx.rooms.skip(ctx.userId);
+      const { current, needed } = ctx.rooms.skipTally(room);
+      announce(
+        ctx,
+        room.skipVotes.size === 0
+          ? `skipped “${title}”`
+          : `voted to skip (${current}/${needed})`,
+      );
+    },
+  },
+  np: {
+    usage: "/np",
+    description: "Show what's playing",
+    run(ctx) {
+      const { track, elapsed, state } = ctx.rooms.nowPlaying(ctx.room);
+      if (!track) return reply(ctx, "Nothing is playing.");
+      const progress = track.duration
+        ? `${formatTime(elapsed)} / ${formatTime(track.duration)}`
+        : formatTime(elapsed);
+      reply(
+        ctx,
+        `${state === "playing" ? "▶" : "⏸"} ${track.title} (${progress}) — added by ${track.addedByName}`,
+      );
+    },
+  },
+  queue: {
+    usage: "/queue",
+    description: "List upcoming tracks",
+    run(ctx) {
+      const upcoming = ctx.rooms.upcomingTracks(ctx.room);
+      if (upcoming.length === 0) return reply(ctx, "The queue is empty.");
+      const lines = upcoming
+        .slice(0, QUEUE_LISTING)
+        .map((t, i) => `${i + 1}. ${t.title} — ${t.addedByName}`);
+      if (upcoming.length > QUEUE_LISTING) {
+        lines.push(`…and ${upcoming.length - QUEUE_LISTING} more`);
+      }
+      reply(ctx, lines.join("\n"));
+    },
+  },
+  remove: {
+    usage: "/remove <n>",
+    description: "Remove the nth upcoming track (see /queue)",
+    run(ctx, args) {
+      const n = Number(args);
+      const track = Number.isInteger(n)
+        ? ctx.rooms.upcomingTracks(ctx.room)[n - 1]
+        : null;
+      if (!track) {
+        throw new ProtocolError(
+          ErrorCode.NOT_FOUND,
+          `No upcoming track #${args || "?"}. See /queue`,
+        );
+      }
+      ctx.rooms.removeTrack(ctx.userId, track.id);
+      announce(ctx, `removed “${track.title}”`);
+    },
+  },
+  shuffle: {
+    usage: "/shuffle",
+    description: "Shuffle the upcoming tracks",
+    run(ctx) {
+      if (!ctx.rooms.shuffleQueue(ctx.userId)) {
+        return reply(ctx, "Nothing to shuffle.");
+      }
+      announce(ctx, "shuffled the queue");
+    },
+  },
+  crossfade: {
+    usage: "/crossfade <0-8>",
+    description: "Set the crossfade in seconds",
+    run(ctx, args) {
+      if (!args || !Number.isFinite(Number(args))) {
+        throw usageError("crossfade");
+      }
+      ctx.rooms.setCrossfade(ctx.userId, Number(args));
+      announce(ctx, `set the crossfade to ${ctx.room.crossfadeDuration}s`);
+    },
+  },
+  me: {
+    usage: "/me <action>",
+    description: "Send an action, e.g. /me dances",
+    run(ctx, args) {
+      if (!args) throw usageError("me");
+      ctx.rooms.chat(ctx.userId, args, { emote: true });
+    },
+  },
+  help: {
+    usage: "/help",
+    description: "List commands",
+    run(ctx) {
+      reply(
+        ctx,
+        Object.values(COMMANDS)
+          .map((c) => `${c.usage} — ${c.description}`)
+          .concat("Start a message with // to send a literal /")
+          .join("\n"),
+      );
+    },
+  },
+};
+
+/**
+ * Split a chat message into a command. Messages starting with "//" are
+ * escaped text, not commands.
+ *
+ * @param {string} text
+ * @returns {{ name: string, args: string }|null}
+ */
+export function parseCommand(text) {
+  const match = /^\/(?!\/)(\S*)\s*([\s\S]*)$/.exec(String(text || "").trim());
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: match[2].trim() };
+}
+
+/**
+ * Run a parsed command. Failures are replied to the issuer instead of
+ * being thrown; unexpected errors still propagate.
+ *
+ * @param {CommandContext} ctx
+ * @param {{ name: string, args: string }} command
+ */
+export async function runCommand(ctx, { name, args }) {
+  const room = ctx.rooms.roomOf(ctx.userId);
+  if (!room) throw new ProtocolError(ErrorCode.NOT_JOINED, "Join a room first");
+
+  try {
+    const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+    if (!command) {
+      throw new ProtocolError(
+        ErrorCode.BAD_REQUEST,
+        `Unknown command /${name}. Try /help`,
+      );
+    }
+    await command.run({ ...ctx, room }, args);
+  } catch (err) {
+    if (!(err instanceof ProtocolError)) throw err;
+    reply(ctx, err.message);
+  }
+}
+
+/**
+ * @param {CommandContext} ctx
+ * @param {string} text
+ */
+function reply(ctx, text) {
+  ctx.rooms.systemMessage(ctx.userId, text, { private: true });
+}
+
+/**
+ * "<issuer> <text>" to the whole room.
+ * @param {CommandContext} ctx
+ * @param {string} text
+ */
+function announce(ctx, text) {
+  const name = ctx.room.users.get(ctx.userId)?.name ?? "Someone";
+  ctx.rooms.systemMessage(ctx.userId, `${name} ${text}`);
+}
+
+/**
+ * @param {string} name
+ * @returns {ProtocolError}
+ */
+function usageError(name) {
+  return new ProtocolError(
+    ErrorCode.BAD_REQUEST,
+    `Usage: ${COMMANDS[name].usage}`,
+  );
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} m:ss
+ */
+function formatTime(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
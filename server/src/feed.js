@@ -0,0 +1,134 @@
+/**
+ * Now-playing feed over Server-Sent Events (`GET /api/rooms/:id/events`).
+ *
+ * A `FeedStream` is the sink `RoomManager.watchRoom()` sends feed messages
+ * to. It looks like a socket (`send(string)`, `close()`, `data`), so a room
+ * owned by another instance can feed it through the cluster like a relayed
+ * WebSocket. Each `{ type, ...fields }` message becomes one SSE event:
+ *
+ *   event: now-playing
+ *   data: {"state":"playing","elapsed":12.3,...}
+ */
+
+import { ErrorCode, ProtocolError } from "./protocol.js";
+
+/** Comment line sent this often so proxies keep idle streams open */
+const KEEPALIVE_MS = 15_000;
+
+/** Give up if the room sends nothing after a watch request */
+const OPEN_TIMEOUT_MS = 10_000;
+
+/** EventSource reconnect delay, sent with the first event */
+const RETRY_MS = 5000;
+
+const encoder = new TextEncoder();
+
+export class FeedStream {
+  /**
+   * @param {object} options
+   * @param {string} [options.ip]
+   * @param {() => void} [options.onClose] - called once when the stream ends either way
+   */
+  constructor({ ip, onClose } = {}) {
+    this.data = { ip };
+    this.closed = false;
+    this.onClose = onClose;
+
+    /** @type {ReadableStreamDefaultController|null} */
+    this.controller = null;
+    this.stream = new ReadableStream({
+      start: (controller) => {
+        this.controller = controller;
+      },
+      cancel: () => this._end(),
+    });
+
+    // Settles on the first message: a feed event, or a room:error
+    this.opened = new Promise((resolve, reject) => {
+      this._open = { resolve, reject };
+    });
+    this.opened.catch(() => {}); // nobody waits once watchRoom() has thrown
+    this.openTimer = setTimeout(() => {
+      this._settle(
+        new ProtocolError(ErrorCode.INTERNAL, "Room did not respond"),
+      );
+    }, OPEN_TIMEOUT_MS);
+    this.keepalive = setInterval(
+      () => this._write(": keepalive\n\n"),
+      KEEPALIVE_MS,
+    );
+
+    this._write(`retry: ${RETRY_MS}\n\n`);
+  }
+
+  /**
+   * @param {string} data - a serialized `{ type, ...fields }` message
+   */
+  send(data) {
+    if (this.closed) return;
+    const { type, ...fields } = JSON.parse(data);
+
+    if (type === "room:error") {
+      this._settle(new ProtocolError(fields.code, fields.message));
+      this.close();
+      return;
+    }
+    this._settle(null);
+    this._write(`event: ${type}\ndata: ${JSON.stringify(fields)}\n\n`);
+  }
+
+  close() {
+    if (this.closed) return;
+    this._end();
+    try {
+      this.controller.close();
+    } catch {
+      // the client already went away
+    }
+  }
+
+  /**
+   * @returns {Response}
+   */
+  response() {
+    return new Response(this.stream, {
+      headers: {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache",
+        "X-Accel-Buffering": "no",
+      },
+    });
+  }
+
+  /**
+   * @param {string} text
+   */
+  _write(text) {
+    if (this.closed) return;
+    try {
+      this.controller.enqueue(encoder.encode(text));
+    } catch {
+      this._end();
+    }
+  }
+
+  /**
+   * Resolve or reject `opened`, the first time only.
+   * @param {Error|null} err
+   */
+  _settle(err) {
+    if (!this._open) return;
+    clearTimeout(this.openTimer);
+    if (err) this._open.reject(err);
+    else this._open.resolve();
+    this._open = null;
+  }
+
+  _end() {
+    if (this.closed) return;
+    this.closed = true;
+    clearInterval(this.keepalive);
+    this._settle(new ProtocolError(ErrorCode.INTERNAL, "Feed closed"));
+    this.onClose?.();
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Play history export for GET /api/rooms/:id/history.
+ * Entries come from `room.history` (see RoomManager._historyStart).
+ */
+
+import { mediaUrl } from "./providers.js";
+
+/** Supported `format` values → response details */
+const FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", render: toJson },
+  csv: { contentType: "text/csv; charset=utf-8", render: toCsv },
+  m3u: { contentType: "audio/x-mpegurl; charset=utf-8", render: toM3u },
+};
+
+/**
+ * Render a room's play history in one of the export formats.
+ *
+ * @param {object} room
+ * @param {string} format - "json" | "csv" | "m3u"
+ * @returns {{ body: string, contentType: string, filename: string }|null}
+ *   null for an unknown format
+ */
+export function exportHistory(room, format) {
+  const spec = Object.hasOwn(FORMATS, format) ? FORMATS[format] : null;
+  if (!spec) return null;
+
+  return {
+    body: spec.render(room),
+    contentType: spec.contentType,
+    filename: `jukebox-${room.id}-history.${format}`,
+  };
+}
+
+/**
+ * @param {object} room
+ * @returns {string}
+ */
+function toJson(room) {
+  return JSON.stringify(
+    {
+      roomId: room.id,
+      roomName: room.name,
+      exportedAt: new Date().toISOString(),
+      history: room.history,
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * @param {object} room
+ * @returns {string}
+ */
+function toCsv(room) {
+  const header = [
+    "started_at",
+    "ended_at",
+    "outcome",
+    "skip_votes",
+    "skip_needed",
+    "title",
+    "url",
+    "added_by",
+    "duration_s",
+  ];
+
+  const rows = room.history.map((entry) => [
+    new Date(entry.startedAt).toISOString(),
+    entry.endedAt ? new Date(entry.endedAt).toISOString() : "",
+    entry.outcome || "playing",
+    entry.skipVotes,
+    entry.skipNeeded,
+    entry.title,
+    mediaUrl(entry),
+    entry.addedByName,
+    entry.duration || "",
+  ]);
+
+  return [header, ...rows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n");
+}
+
+/**
+ * Quote a CSV cell when needed. Cells that a spreadsheet would treat as a
+ * formula are prefixed with `'`.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+/**
+ * Extended M3U playlist of the tracks' links, oldest first.
+ * @param {object} room
+ * @returns {string}
+ */
+function toM3u(room) {
+  const lines = ["#EXTM3U", `#PLAYLIST:${oneLine(room.name)}`];
+  for (const entry of room.history) {
+    const seconds = entry.duration > 0 ? Math.round(entry.duration) : -1;
+    lines.push(`#EXTINF:${seconds},${oneLine(entry.title)}`);
+    lines.push(mediaUrl(entry));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function oneLine(text) {
+  return String(text ?? "").replace(/[\r\n]+/g, " ");
+}
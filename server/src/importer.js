@@ -0,0 +1,147 @@
+/**
+ * Bulk queue import: turn pasted text, an M3U/M3U8 playlist or a play
+ * history JSON export into tracks ready for `RoomManager.addTracks`.
+ */
+
+import { ErrorCode, ProtocolError } from "./protocol.js";
+import { SUPPORTED_MEDIA, matchMedia, resolveMedia } from "./providers.js";
+
+/** Most tracks a single import may add */
+export const IMPORT_MAX_TRACKS = 200;
+
+/** Metadata lookups run at once per import */
+const RESOLVE_CONCURRENCY = 4;
+
+/**
+ * Split an import into media (see `matchMedia`) and per-line failures.
+ *
+ * Accepts:
+ *   - one URL or video ID per line (extra text around a URL is ignored)
+ *   - M3U / M3U8 (`#EXTINF` titles are kept for the provider's `resolve`)
+ *   - JSON: the `/history?format=json` export, or an array of URLs or
+ *     `{ mediaId | youtubeId | url, title? }` objects
+ *
+ * @param {string} text
+ * @returns {{
+ *   items: Array<{ line: number, provider: string, mediaId: string, title: string|null }>,
+ *   failures: Array<{ line: number, input: string, reason: string }>
+ * }}
+ * @throws {ProtocolError} BAD_REQUEST for unparseable JSON
+ */
+export function parseImport(text) {
+  const trimmed = String(text || "").trim();
+  const candidates =
+    trimmed.startsWith("{") || trimmed.startsWith("[")
+      ? jsonCandidates(trimmed)
+      : lineCandidates(trimmed);
+
+  const items = [];
+  const failures = [];
+
+  for (const { line, input, title } of candidates) {
+    const media = matchMedia(input);
+    if (!media) {
+      failures.push({
+        line,
+        input: input.slice(0, 200),
+        reason: `Not ${SUPPORTED_MEDIA}`,
+      });
+    } else if (items.length >= IMPORT_MAX_TRACKS) {
+      failures.push({
+        line,
+        input: input.slice(0, 200),
+        reason: `Import limit of ${IMPORT_MAX_TRACKS} tracks reached`,
+      });
+    } else {
+      items.push({ line, ...media, title: title || null });
+    }
+  }
+
+  return { items, failures };
+}
+
+/**
+ * Look up metadata for parsed items, a few at a time, with their provider.
+ * Imported titles are passed along (YouTube keeps them for failed lookups).
+ *
+ * @param {Array<{ provider: string, mediaId: string, title: string|null }>} items
+ * @param {import("./youtube.js").MetaCache} [cache]
+ * @returns {Promise<Array<{ provider: string, mediaId: string, title: string, thumbnail: string }>>}
+ *   in the same order as `items`
+ */
+export async function resolveImport(items, cache = null) {
+  const tracks = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      const { title, ...media } = items[index];
+      tracks[index] = await resolveMedia(media, { cache, title });
+    }
+  }
+
+  const workers = Math.min(RESOLVE_CONCURRENCY, items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return tracks;
+}
+
+/**
+ * @param {string} text
+ * @returns {Array<{ line: number, input: string, title: string|null }>}
+ */
+function lineCandidates(text) {
+  const candidates = [];
+  let title = null;
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    if (line.startsWith("#")) {
+      // #EXTINF:<seconds>,<title> describes the next entry
+      if (/^#EXTINF:/i.test(line) && line.includes(",")) {
+        title = line.slice(line.indexOf(",") + 1).trim() || null;
+      }
+      return;
+    }
+
+    const url = line.match(/https?:\/\/\S+/)?.[0] ?? line;
+    candidates.push({ line: i + 1, input: url, title });
+    title = null;
+  });
+
+  return candidates;
+}
+
+/**
+ * @param {string} text
+ * @returns {Array<{ line: number, input: string, title: string|null }>}
+ */
+function jsonCandidates(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ProtocolError(ErrorCode.BAD_REQUEST, "Invalid JSON import");
+  }
+
+  const entries = Array.isArray(data) ? data : data?.history;
+  if (!Array.isArray(entries)) {
+    throw new ProtocolError(
+      ErrorCode.BAD_REQUEST,
+      "JSON import must be an array or a history export",
+    );
+  }
+
+  return entries.map((entry, i) => {
+    if (typeof entry === "string") {
+      return { line: i + 1, input: entry, title: null };
+    }
+    return {
+      line: i + 1,
+      input: String(entry?.mediaId || entry?.youtubeId || entry?.url || ""),
+      title: typeof entry?.title === "string" ? entry.title : null,
+    };
+  });
+}
@@ -1,54 +1,528 @@
+import { createHash, timingSafeEqual } from "node:crypto";
 import { Hono } from "hono";
 import { serveStatic } from "hono/bun";
+import { createBus } from "./bus.js";
+import { RoomCluster } from "./cluster.js";
+import { parseCommand, runCommand } from "./commands.js";
+import { FeedStream } from "./feed.js";
+import { exportHistory } from "./history.js";
+import { parseImport, resolveImport } from "./importer.js";
+import { log } from "./logger.js";
+import { metrics, registerGauge, renderMetrics } from "./metrics.js";
+import {
+  ErrorCode,
+  ProtocolError,
+  httpStatus,
+  negotiateVersion,
+  parseMessage,
+} from "./protocol.js";
+import { RateLimiter } from "./ratelimit.js";
 import { RoomManager } from "./rooms.js";
-import { extractYouTubeId, fetchVideoMeta } from "./youtube.js";
+import { createStorage, readJsonFile, writeJsonFile } from "./storage.js";
+import {
+  WebhookDispatcher,
+  checkWebhookTarget,
+  isValidWebhookUrl,
+} from "./webhooks.js";
+import {
+  SUPPORTED_MEDIA,
+  getProvider,
+  matchMedia,
+  mediaKey,
+  resolveMedia,
+} from "./providers.js";
+import { MetaCache } from "./youtube.js";
+
+const PORT = Number(process.env.PORT) || 15230;
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS ?? 30_000);
+const KICK_BLOCK_MS = Number(process.env.KICK_BLOCK_MS ?? 600_000);
+const EMPTY_ROOM_TTL_MS = Number(process.env.EMPTY_ROOM_TTL_MS) || 0;
+const SNAPSHOT_INTERVAL_MS = Number(process.env.SNAPSHOT_INTERVAL_MS) || 5000;
+const TRUST_PROXY = process.env.TRUST_PROXY === "1";
+const MAX_CONNECTIONS_PER_IP = Number(process.env.MAX_CONNECTIONS_PER_IP) || 20;
+const WS_MAX_PAYLOAD_BYTES = Number(process.env.WS_MAX_PAYLOAD_BYTES) || 16_384;
+const META_CACHE_SIZE = Number(process.env.META_CACHE_SIZE ?? 1000);
+const META_CACHE_TTL_MS = Number(process.env.META_CACHE_TTL_MS) || 86_400_000;
+const META_CACHE_NEGATIVE_TTL_MS = Number(
+  process.env.META_CACHE_NEGATIVE_TTL_MS ?? 60_000,
+);
+const META_CACHE_PATH = process.env.META_CACHE_PATH;
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 262_144;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "1";
+const SYNC_HEARTBEAT_MS = Number(process.env.SYNC_HEARTBEAT_MS ?? 5000);
+const ROOM_BUS = process.env.ROOM_BUS || "local";
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 
 const app = new Hono();
-const rooms = new RoomManager();
+const bus = createBus({
+  driver: ROOM_BUS,
+  url: process.env.ROOM_BUS_URL,
+  instanceId: process.env.INSTANCE_ID,
+});
+const webhooks = new WebhookDispatcher({
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+  allowPrivate: WEBHOOK_ALLOW_PRIVATE,
+  onStatus: (roomId) => rooms.notifyWebhookStatus(roomId),
+});
+const rooms = new RoomManager({
+  resumeGraceMs: RESUME_GRACE_MS,
+  kickBlockMs: KICK_BLOCK_MS,
+  emptyRoomTtlMs: EMPTY_ROOM_TTL_MS,
+  webhooks,
+  bus,
+});
+const cluster = new RoomCluster({
+  bus,
+  rooms,
+  dispatch,
+  fetch: (req, ip) => app.fetch(req, { ip }),
+});
+const limiter = new RateLimiter({
+  maxConnectionsPerIp: MAX_CONNECTIONS_PER_IP,
+});
+const metaCache = new MetaCache({
+  maxSize: META_CACHE_SIZE,
+  ttlMs: META_CACHE_TTL_MS,
+  negativeTtlMs: META_CACHE_NEGATIVE_TTL_MS,
+});
 
-const PORT = Number(process.env.PORT) || 15230;
+// ─── Persistence ──────────────────────────────────────────────────────────────
+
+const storage = createStorage({
+  driver: process.env.STORAGE || "memory",
+  path: process.env.STORAGE_PATH,
+});
+
+// Fails when another instance already holds STORAGE_PATH
+try {
+  rooms.restore(await storage.load());
+} catch (err) {
+  log.error("rooms.load_failed", { err });
+  process.exit(1);
+}
+
+let lastSnapshot = null;
+
+/**
+ * Write the current room snapshot if anything changed since the last save.
+ */
+async function persistRooms() {
+  const snapshot = rooms.snapshot();
+  const serialized = JSON.stringify(snapshot);
+  if (serialized === lastSnapshot) return;
+
+  try {
+    await storage.save(snapshot);
+    lastSnapshot = serialized;
+  } catch (err) {
+    log.error("rooms.persist_failed", { err });
+  }
+}
+
+if (META_CACHE_PATH) {
+  try {
+    metaCache.restore((await readJsonFile(META_CACHE_PATH))?.entries);
+  } catch (err) {
+    log.error("meta_cache.load_failed", { err });
+  }
+}
+
+let lastMetaSnapshot = null;
+
+/**
+ * Write the metadata cache to META_CACHE_PATH (if set) when it changed.
+ */
+async function persistMetaCache() {
+  if (!META_CACHE_PATH) return;
+
+  const entries = metaCache.snapshot();
+  const serialized = JSON.stringify(entries);
+  if (serialized === lastMetaSnapshot) return;
+
+  try {
+    await writeJsonFile(META_CACHE_PATH, { version: 1, entries });
+    lastMetaSnapshot = serialized;
+  } catch (err) {
+    log.error("meta_cache.persist_failed", { err });
+  }
+}
+
+setInterval(() => {
+  persistRooms();
+  persistMetaCache();
+}, SNAPSHOT_INTERVAL_MS);
+
+// Periodic playback:sync while playing, for client drift correction
+if (SYNC_HEARTBEAT_MS > 0) {
+  setInterval(() => rooms.syncPlayingRooms(), SYNC_HEARTBEAT_MS);
+}
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, async () => {
+    await Promise.all([persistRooms(), persistMetaCache()]);
+    await storage.close();
+    process.exit(0);
+  });
+}
 
 // ─── HTTP Routes ─────────────────────────────────────────────────────────────
 
+/**
+ * GET /api/rooms/:id/events?token=<API token>
+ * Server-Sent Events feed of the room: `now-playing` and `queue` on connect
+ * and on every change, `progress` on each heartbeat while playing, `closed`
+ * when the room goes away. Watching doesn't join the room. Password-protected
+ * rooms need an API token (EventSource can't send headers, so it's a query
+ * parameter). Registered ahead of the relay below: streams can't be replayed,
+ * so a room owned elsewhere is watched through the cluster instead.
+ */
+app.get("/api/rooms/:id/events", async (c) => {
+  const ip = c.env?.ip;
+  if (!limiter.acquireConnection(ip)) {
+    return c.json({ error: "Too many connections" }, 429);
+  }
+  openFeeds++;
+
+  const feed = new FeedStream({
+    ip,
+    onClose: () => {
+      openFeeds--;
+      limiter.releaseConnection(ip);
+      if (feed.data.owner) cluster.detach(feed);
+      else rooms.unwatchRoom(feed);
+    },
+  });
+
+  try {
+    const roomId = c.req.param("id");
+    const token = c.req.query("token");
+    const owner = await cluster.remoteOwner(roomId);
+    if (owner) cluster.watch(feed, owner, roomId, token);
+    else rooms.watchRoom(roomId, feed, token);
+    await feed.opened;
+  } catch (err) {
+    feed.close();
+    return protocolErrorResponse(c, err);
+  }
+  return feed.response();
+});
+
+// A room owned by another instance is answered by that instance
+app.use("/api/rooms/:id/*", async (c, next) => {
+  const owner = await cluster.remoteOwner(c.req.param("id"));
+  if (!owner) return next();
+  return cluster.forwardHttp(owner, c.req.raw, c.env?.ip);
+});
+
 /**
  * POST /api/rooms
- * Create a new room. Body: { name?: string }
+ * Create a new room. Body: { name?: string, password?: string }
  * Returns: { id, name }
  */
 app.post("/api/rooms", async (c) => {
+  const throttled = throttleHttp(c, "http:rooms");
+  if (throttled) return throttled;
+
   let body = {};
   try {
     body = await c.req.json();
   } catch {
     // default to empty
   }
-  const { id, name } = rooms.createRoom(body.name);
+  const { id, name } = rooms.createRoom(body.name, {
+    password: body.password,
+  });
   return c.json({ id, name }, 201);
 });
 
 /**
  * GET /api/rooms/:id
- * Room info → { id, name, userCount } or 404
+ * Room info → { id, name, userCount, hasPassword, locked } or 404
  */
 app.get("/api/rooms/:id", (c) => {
   const room = rooms.getRoom(c.req.param("id"));
   if (!room) return c.json({ error: "Room not found" }, 404);
-  return c.json({ id: room.id, name: room.name, userCount: room.users.size });
+  return c.json({
+    id: room.id,
+    name: room.name,
+    userCount: room.users.size,
+    hasPassword: Boolean(room.password),
+    locked: room.locked,
+  });
+});
+
+/**
+ * GET /api/rooms/:id/history?format=json|csv|m3u
+ * Download the room's play history (default JSON). Password-protected rooms
+ * require a member's resume token in the X-Resume-Token header.
+ */
+app.get("/api/rooms/:id/history", (c) => {
+  const room = rooms.getRoom(c.req.param("id"));
+  if (!room) return c.json({ error: "Room not found" }, 404);
+
+  const token = c.req.header("x-resume-token");
+  if (room.password && !(token && room.sessions.has(token))) {
+    return c.json({ error: "Room members only" }, 403);
+  }
+
+  const exported = exportHistory(room, c.req.query("format") || "json");
+  if (!exported)
+    return c.json({ error: "format must be json, csv or m3u" }, 400);
+
+  c.header("Content-Type", exported.contentType);
+  c.header(
+    "Content-Disposition",
+    `attachment; filename="${exported.filename}"`,
+  );
+  return c.body(exported.body);
+});
+
+/**
+ * POST /api/rooms/:id/queue/import
+ * Bulk-add tracks as a room member. Body: plain text (one URL per line),
+ * M3U/M3U8, or JSON (history export or array of URLs). The member's resume
+ * token goes in the X-Resume-Token header.
+ * Returns: { added, failures: [{ line, input, reason }] }
+ */
+app.post("/api/rooms/:id/queue/import", async (c) => {
+  const throttled = throttleHttp(c, "http:import");
+  if (throttled) return throttled;
+
+  const room = rooms.getRoom(c.req.param("id"));
+  if (!room) return c.json({ error: "Room not found" }, 404);
+
+  const token = c.req.header("x-resume-token");
+  const userId = token ? room.sessions.get(token) : null;
+  if (!userId) return c.json({ error: "Room members only" }, 403);
+
+  const length = Number(c.req.header("content-length"));
+  if (length > IMPORT_MAX_BYTES) {
+    return c.json({ error: "Import too large" }, 413);
+  }
+  const text = await c.req.text();
+  if (text.length > IMPORT_MAX_BYTES) {
+    return c.json({ error: "Import too large" }, 413);
+  }
+
+  try {
+    return c.json(await importTracks(userId, text));
+  } catch (err) {
+    return protocolErrorResponse(c, err);
+  }
+});
+
+// ─── REST Control API ────────────────────────────────────────────────────────
+// Authenticated with a room API token (`Authorization: Bearer <token>`),
+// minted by the host over the socket. Each route calls the same RoomManager
+// method as the matching WebSocket message, with the token ID as the user.
+
+/**
+ * GET /api/rooms/:id/queue → { queue, currentIndex }
+ */
+controlRoute("get", "/queue", (actorId, room) => ({
+  queue: room.queue,
+  currentIndex: room.currentIndex,
+}));
+
+/**
+ * POST /api/rooms/:id/queue
+ * Body: { url } → 201 { track }
+ */
+controlRoute("post", "/queue", async (actorId, room, c) => {
+  const body = await readJson(c);
+  const track = await handleQueueAdd(actorId, String(body.url ?? ""));
+  return c.json({ track }, 201);
+});
+
+/**
+ * GET /api/rooms/:id/now-playing
+ * → { state, currentIndex, elapsed, track, skipVotes, skipNeeded }
+ */
+controlRoute("get", "/now-playing", (actorId, room) => rooms.nowPlaying(room));
+
+/**
+ * POST /api/rooms/:id/playback/play | pause | skip
+ * POST /api/rooms/:id/playback/seek  Body: { time } (seconds)
+ * → same as now-playing. `skip` casts a skip vote like any listener.
+ */
+controlRoute("post", "/playback/:action", async (actorId, room, c) => {
+  const action = c.req.param("action");
+  if (action === "play") rooms.play(actorId);
+  else if (action === "pause") rooms.pause(actorId);
+  else if (action === "skip") rooms.skip(actorId);
+  else if (action === "seek") {
+    const { time } = await readJson(c);
+    if (typeof time !== "number") {
+      throw new ProtocolError(ErrorCode.BAD_REQUEST, "time must be a number");
+    }
+    rooms.seek(actorId, time);
+  } else {
+    throw new ProtocolError(ErrorCode.NOT_FOUND, `Unknown action: ${action}`);
+  }
+  return rooms.nowPlaying(room);
 });
 
 /**
- * GET /api/youtube/resolve?url=...
- * Parse a YouTube URL and return { youtubeId, title, thumbnail }
+ * GET /api/media/resolve?url=...
+ * Resolve a link with whichever provider claims it
+ * → { provider, providerLabel, mediaId, youtubeId, title, thumbnail }
+ * (`youtubeId` is null for other providers). `/api/youtube/resolve` is the
+ * old name.
  */
-app.get("/api/youtube/resolve", async (c) => {
-  const url = c.req.query("url");
-  if (!url) return c.json({ error: "url query param required" }, 400);
+for (const path of ["/api/media/resolve", "/api/youtube/resolve"]) {
+  app.get(path, async (c) => {
+    const throttled = throttleHttp(c, "http:resolve");
+    if (throttled) return throttled;
+
+    const url = c.req.query("url");
+    if (!url) return c.json({ error: "url query param required" }, 400);
+
+    const media = matchMedia(url);
+    if (!media) return c.json({ error: `Not ${SUPPORTED_MEDIA}` }, 400);
 
-  const youtubeId = extractYouTubeId(url);
-  if (!youtubeId) return c.json({ error: "Invalid YouTube URL" }, 400);
+    const track = await resolveMedia(media, { cache: metaCache });
+    return c.json({
+      ...track,
+      providerLabel: getProvider(track.provider).label,
+      youtubeId: track.provider === "youtube" ? track.mediaId : null,
+    });
+  });
+}
 
-  const meta = await fetchVideoMeta(youtubeId);
-  return c.json({ youtubeId, title: meta.title, thumbnail: meta.thumbnail });
+// ─── Admin API ────────────────────────────────────────────────────────────────
+// For whoever runs the server, not room hosts: `Authorization: Bearer
+// <ADMIN_TOKEN>`. Disabled (404) unless ADMIN_TOKEN is set. Room routes are
+// relayed to the room's owner; the room list covers this instance only.
+
+app.use("/api/admin/rooms/:id/*", async (c, next) => {
+  const owner = await cluster.remoteOwner(c.req.param("id"));
+  if (!owner) return next();
+  return cluster.forwardHttp(owner, c.req.raw, c.env?.ip);
+});
+
+// Announcements reach the rooms on every instance
+bus.subscribe("announcements", ({ text }) => rooms.announce(text));
+
+/**
+ * GET /api/admin/rooms → { instanceId, rooms: [{ id, name, userCount, nowPlaying, ... }] }
+ */
+adminRoute("get", "/rooms", () => ({
+  instanceId: bus.instanceId,
+  rooms: rooms.listRooms(),
+}));
+
+/**
+ * GET /api/admin/rooms/:id → SerializedRoom (everything a member sees on join)
+ */
+adminRoute("get", "/rooms/:id", (c) => {
+  const room = rooms.getRoom(c.req.param("id"));
+  if (!room) {
+    throw new ProtocolError(ErrorCode.ROOM_NOT_FOUND, "Room not found");
+  }
+  return rooms.serializeRoom(room);
+});
+
+/**
+ * POST /api/admin/rooms/:id/close
+ * Body: { reason? } → { id, disconnected }. Members get `room:closed`.
+ */
+adminRoute("post", "/rooms/:id/close", async (c) => {
+  const id = c.req.param("id");
+  const { reason } = await readJson(c);
+  return { id, ...rooms.closeRoom(id, reason) };
+});
+
+/**
+ * POST /api/admin/announce
+ * Body: { message } → 202. Sent to every room as `server:announcement`.
+ */
+adminRoute("post", "/announce", async (c) => {
+  const { message } = await readJson(c);
+  const text = String(message ?? "")
+    .trim()
+    .slice(0, 500);
+  if (!text) {
+    throw new ProtocolError(ErrorCode.BAD_REQUEST, "message is required");
+  }
+  bus.publish("announcements", { text });
+  return c.json({ sent: true }, 202);
+});
+
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+
+let openSockets = 0;
+let openFeeds = 0;
+
+registerGauge(
+  "jukebox_rooms",
+  "Rooms on this instance",
+  () => rooms.rooms.size,
+);
+registerGauge("jukebox_users", "Users in rooms on this instance", () => {
+  let users = 0;
+  for (const room of rooms.rooms.values()) users += room.users.size;
+  return users;
+});
+registerGauge(
+  "jukebox_sockets_open",
+  "WebSocket connections open on this instance",
+  () => openSockets,
+);
+registerGauge(
+  "jukebox_feed_streams",
+  "Now-playing SSE streams open on this instance",
+  () => openFeeds,
+);
+registerGauge(
+  "jukebox_meta_cache_entries",
+  "Video metadata cache entries",
+  () => metaCache.stats().size,
+);
+registerGauge(
+  "jukebox_meta_cache_hits",
+  "Video metadata lookups served from the cache since boot",
+  () => metaCache.stats().hits,
+);
+registerGauge(
+  "jukebox_meta_cache_misses",
+  "Video metadata lookups that went to YouTube since boot",
+  () => metaCache.stats().misses,
+);
+registerGauge(
+  "jukebox_meta_cache_coalesced",
+  "Video metadata lookups that joined an in-flight request since boot",
+  () => metaCache.stats().coalesced,
+);
+registerGauge(
+  "jukebox_meta_cache_inflight",
+  "Video metadata requests to YouTube in flight",
+  () => metaCache.stats().inflight,
+);
+registerGauge(
+  "process_resident_memory_bytes",
+  "Resident memory size in bytes",
+  () => process.memoryUsage().rss,
+);
+
+/**
+ * GET /metrics
+ * Prometheus text format. With METRICS_TOKEN set, scrapers must send
+ * `Authorization: Bearer <token>`.
+ */
+app.get("/metrics", (c) => {
+  if (METRICS_TOKEN) {
+    const auth = c.req.header("authorization") || "";
+    const bearer = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+    if (!tokenMatches(bearer, METRICS_TOKEN)) {
+      return c.json({ error: "Unauthorized" }, 401);
+    }
+  }
+  c.header("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  return c.body(renderMetrics());
 });
 
 // ─── Static File Serving ──────────────────────────────────────────────────────
@@ -56,6 +530,9 @@ app.get("/api/youtube/resolve", async (c) => {
 // Serve the single-page client from ../client/dist/
 app.use("/*", serveStatic({ root: "../client/dist" }));
 
+// Overlay page for OBS browser sources, fed by /api/rooms/:id/events
+app.get("/embed/*", serveStatic({ path: "../client/dist/embed.html" }));
+
 // Catch-all: for SPA routing (e.g. /room/:id) return index.html
 app.get("/*", serveStatic({ path: "../client/dist/index.html" }));
 
@@ -74,95 +551,75 @@ const server = Bun.serve({
 
     // Upgrade WebSocket connections on /ws
     if (url.pathname === "/ws") {
-      const upgraded = server.upgrade(req);
+      const ip = clientIp(req, server);
+      if (!limiter.acquireConnection(ip)) {
+        return new Response("Too many connections", { status: 429 });
+      }
+
+      const upgraded = server.upgrade(req, { data: { ip } });
       if (!upgraded) {
+        limiter.releaseConnection(ip);
         return new Response("WebSocket upgrade failed", { status: 400 });
       }
       return; // Bun handles the response after upgrade
     }
 
-    return app.fetch(req);
+    return app.fetch(req, { ip: clientIp(req, server) });
   },
 
   websocket: {
+    // Larger frames are rejected and the socket closed by Bun
+    maxPayloadLength: WS_MAX_PAYLOAD_BYTES,
+
     /**
      * Called when a WebSocket connection is opened.
      * @param {import("bun").ServerWebSocket} ws
      */
     open(ws) {
       // Connection is waiting for the initial "join" message
+      openSockets++;
     },
 
     /**
-     * Called for each incoming WebSocket message.
+     * Called for each incoming WebSocket message. Messages with a
+     * `requestId` are answered with an ack or a room:error echoing it.
      * @param {import("bun").ServerWebSocket} ws
      * @param {string|Buffer} raw
      */
-    message(ws, raw) {
+    async message(ws, raw) {
       let msg;
       try {
-        msg = JSON.parse(typeof raw === "string" ? raw : raw.toString());
-      } catch {
-        return; // Ignore malformed messages
+        msg = parseMessage(raw);
+      } catch (err) {
+        metrics.wsMessages.inc({ type: "invalid" });
+        // Invalid messages still count against the connection's "*" limit
+        if (limiter.check(ws, ws.data?.ip, "invalid") === 0) {
+          replyError(ws, err, err.extra?.requestId);
+        }
+        return;
       }
 
-      const userId = rooms.wsToUser.get(ws);
-
-      switch (msg.type) {
-        case "join":
-          // { roomId, userName }
-          rooms.joinRoom(msg.roomId, msg.userName, ws);
-          break;
-
-        case "queue:add":
-          // { url }
-          if (!userId) return;
-          handleQueueAdd(userId, msg.url);
-          break;
-
-        case "queue:remove":
-          // { trackId }
-          if (!userId) return;
-          rooms.removeTrack(userId, msg.trackId);
-          break;
-
-        case "playback:play":
-          if (!userId) return;
-          rooms.play(userId);
-          break;
-
-        case "playback:pause":
-          if (!userId) return;
-          rooms.pause(userId);
-          break;
-
-        case "playback:skip":
-          if (!userId) return;
-          rooms.skip(userId);
-          break;
-
-        case "playback:seek":
-          // { time }
-          if (!userId) return;
-          rooms.seek(userId, msg.time);
-          break;
-
-        case "chat:message":
-          // { text }
-          if (!userId) return;
-          rooms.chat(userId, msg.text);
-          break;
-
-        case "crossfade:set":
-          // { duration }
-          if (!userId) return;
-          rooms.setCrossfade(userId, msg.duration);
-          break;
-
-        default:
-          // Ignore unknown message types
-          break;
+      const { requestId } = msg;
+      metrics.wsMessages.inc({ type: msg.type });
+
+      const wait = limiter.check(ws, ws.data?.ip, msg.type);
+      if (wait > 0) {
+        metrics.wsThrottled.inc({ type: msg.type });
+        replyThrottled(ws, wait, requestId);
+        return;
       }
+
+      // Joining a room owned by another instance: relay from now on
+      if (msg.type === "join" && !ws.data.owner) {
+        const owner = await cluster.remoteOwner(msg.roomId);
+        if (owner) cluster.attach(ws, owner);
+      }
+      if (ws.data.owner) {
+        cluster.forward(ws, msg);
+        return;
+      }
+
+      await dispatch(ws, msg);
     },
 
     /**
@@ -170,37 +627,597 @@ const server = Bun.serve({
      * @param {import("bun").ServerWebSocket} ws
      */
     close(ws) {
-      rooms.leaveByWs(ws);
+      openSockets--;
+      limiter.releaseConnection(ws.data?.ip);
+      if (ws.data?.owner) cluster.detach(ws);
+      else rooms.leaveByWs(ws);
     },
   },
 });
 
 /**
- * Resolve a YouTube URL and add the track to the queue.
- * Sends an error message back to the user on failure.
+ * Handle a validated client message and answer its `requestId`, if any,
+ * with an ack or a room:error. Relayed messages from other instances come
+ * in here too, with a `RemoteSocket` as `ws`.
+ *
+ * @param {import("bun").ServerWebSocket} ws
+ * @param {{ type: string, requestId?: string|number }} msg
+ */
+async function dispatch(ws, msg) {
+  const { requestId } = msg;
+  try {
+    await handleMessage(ws, msg);
+    if (requestId !== undefined) {
+      rooms.sendTo(ws, { type: "ack", requestId });
+    }
+  } catch (err) {
+    const userId = rooms.wsToUser.get(ws);
+    const roomId = rooms.connections.get(userId)?.roomId;
+    if (err instanceof ProtocolError) {
+      log.debug("message.rejected", {
+        roomId,
+        userId,
+        type: msg.type,
+        code: err.code,
+      });
+    } else {
+      log.error("message.failed", { roomId, userId, type: msg.type, err });
+    }
+    replyError(ws, err, requestId);
+  }
+}
+
+/**
+ * Dispatch a validated client message to the RoomManager.
+ *
+ * @param {import("bun").ServerWebSocket} ws
+ * @param {{ type: string }} msg - checked against SCHEMAS by parseMessage
+ * @throws {ProtocolError}
+ */
+async function handleMessage(ws, msg) {
+  // Clock sync works before joining, so the first sync can be compensated
+  if (msg.type === "time:ping") {
+    rooms.sendTo(ws, { type: "time:pong", t0: msg.t0, serverTime: Date.now() });
+    return;
+  }
+
+  const userId = rooms.wsToUser.get(ws);
+  if (!userId && msg.type !== "join") {
+    throw new ProtocolError(ErrorCode.NOT_JOINED, "Join a room first");
+  }
+
+  switch (msg.type) {
+    case "join":
+      // { roomId, userName?, resumeToken?, password?, protocolVersion? }
+      rooms.joinRoom(msg.roomId, msg.userName, ws, {
+        resumeToken: msg.resumeToken,
+        password: msg.password,
+        ip: ws.data?.ip,
+        protocolVersion: negotiateVersion(msg.protocolVersion),
+      });
+      break;
+
+    case "queue:add":
+      // { url }
+      await handleQueueAdd(userId, msg.url);
+      break;
+
+    case "token:create":
+      // { name?, role? }
+      rooms.createApiToken(userId, msg.name, msg.role);
+      break;
+
+    case "token:revoke":
+      // { tokenId }
+      rooms.revokeApiToken(userId, msg.tokenId);
+      break;
+
+    case "token:list":
+      rooms.listApiTokens(userId);
+      break;
+
+    case "webhook:create":
+      // { url, events }
+      await checkWebhookHost(msg.url);
+      rooms.createWebhook(userId, msg.url, msg.events);
+      break;
+
+    case "webhook:delete":
+      // { webhookId }
+      rooms.deleteWebhook(userId, msg.webhookId);
+      break;
+
+    case "webhook:test":
+      // { webhookId }
+      rooms.testWebhook(userId, msg.webhookId);
+      break;
+
+    case "webhook:list":
+      rooms.listWebhooks(userId);
+      break;
+
+    case "blocklist:add":
+      // { kind: "video" | "keyword", value }
+      rooms.addBlocklistEntry(userId, msg.kind, msg.value);
+      break;
+
+    case "blocklist:remove":
+      // { entryId }
+      rooms.removeBlocklistEntry(userId, msg.entryId);
+      break;
+
+    case "blocklist:list":
+      rooms.listBlocklist(userId);
+      break;
+
+    case "queue:import": {
+      // { text }
+      const result = await importTracks(userId, msg.text);
+      rooms.sendTo(ws, {
+        type: "queue:imported",
+        ...result,
+        requestId: msg.requestId,
+      });
+      break;
+    }
+
+    case "queue:remove":
+      // { trackId }
+      rooms.removeTrack(userId, msg.trackId);
+      break;
+
+    case "queue:move":
+      // { trackId, toIndex }
+      rooms.moveTrack(userId, msg.trackId, msg.toIndex);
+      break;
+
+    case "queue:playNext":
+      // { trackId }
+      rooms.playNext(userId, msg.trackId);
+      break;
+
+    case "queue:clear":
+      rooms.clearQueue(userId);
+      break;
+
+    case "queue:jump":
+      // { trackId }
+      rooms.jumpTo(userId, msg.trackId);
+      break;
+
+    case "playback:play":
+      rooms.play(userId);
+      break;
+
+    case "playback:pause":
+      rooms.pause(userId);
+      break;
+
+    case "playback:skip":
+      rooms.skip(userId);
+      break;
+
+    case "playback:ended":
+      // { trackId }
+      rooms.trackEnded(userId, msg.trackId);
+      break;
+
+    case "track:duration":
+      // { trackId, duration }
+      rooms.setTrackDuration(userId, msg.trackId, msg.duration);
+      break;
+
+    case "playback:seek":
+      // { time }
+      rooms.seek(userId, msg.time);
+      break;
+
+    case "chat:message": {
+      // { text } — "/name args" runs a chat command, "//" escapes a slash
+      const command = parseCommand(msg.text);
+      if (command) {
+        await runCommand(commandContext(ws, userId), command);
+      } else {
+        rooms.chat(userId, msg.text.replace(/^\s*\/\//, "/"));
+      }
+      break;
+    }
+
+    case "chat:react":
+      // { messageId, emoji } — toggles the sender's reaction
+      rooms.reactToChat(userId, msg.messageId, msg.emoji);
+      break;
+
+    case "chat:delete":
+      // { messageId }
+      rooms.deleteChatMessage(userId, msg.messageId);
+      break;
+
+    case "crossfade:set":
+      // { duration }
+      rooms.setCrossfade(userId, msg.duration);
+      break;
+
+    case "mode:set":
+      // { repeat?, shuffle? }
+      rooms.setMode(userId, msg);
+      break;
+
+    case "user:role":
+      // { userId, role }
+      rooms.setRole(userId, msg.userId, msg.role);
+      break;
+
+    case "user:kick":
+      // { userId }
+      rooms.kickUser(userId, msg.userId);
+      break;
+
+    case "user:ban":
+      // { userId, byIp? }
+      rooms.banUser(userId, msg.userId, msg.byIp === true);
+      break;
+
+    case "room:lock":
+      // { locked }
+      rooms.setLocked(userId, msg.locked);
+      break;
+
+    case "settings:update":
+      // { settings }
+      rooms.updateSettings(userId, msg.settings);
+      break;
+  }
+}
+
+/**
+ * Send a room:error for a failed message. Unexpected errors are logged and
+ * reported as INTERNAL without details.
+ *
+ * @param {import("bun").ServerWebSocket} ws
+ * @param {Error} err
+ * @param {string|number} [requestId]
+ */
+function replyError(ws, err, requestId) {
+  if (!(err instanceof ProtocolError)) {
+    err = new ProtocolError(ErrorCode.INTERNAL, "Something went wrong");
+  }
+  metrics.wsErrors.inc({ code: err.code });
+
+  rooms.sendTo(ws, {
+    type: "room:error",
+    code: err.code,
+    message: err.message,
+    ...err.extra,
+    requestId,
+  });
+}
+
+/**
+ * Best-effort client address for IP bans. X-Forwarded-For is only trusted
+ * when TRUST_PROXY=1 (i.e. behind a reverse proxy you control).
+ *
+ * @param {Request} req
+ * @param {import("bun").Server} server
+ * @returns {string|null}
+ */
+function clientIp(req, server) {
+  if (TRUST_PROXY) {
+    const forwarded = req.headers.get("x-forwarded-for");
+    if (forwarded) return forwarded.split(",")[0].trim();
+  }
+  return server.requestIP(req)?.address || null;
+}
+
+/**
+ * Tell a throttled client to back off. Without a `requestId` to answer, this
+ * happens at most once a second so the replies don't become a flood too.
+ *
+ * @param {import("bun").ServerWebSocket} ws
+ * @param {number} waitMs
+ * @param {string|number} [requestId]
+ */
+function replyThrottled(ws, waitMs, requestId) {
+  const now = Date.now();
+  if (requestId === undefined) {
+    if (now - (ws.data.lastThrottleReply || 0) < 1000) return;
+    ws.data.lastThrottleReply = now;
+  }
+
+  const error = new ProtocolError(
+    ErrorCode.RATE_LIMITED,
+    "Too many requests, slow down",
+    { retryAfter: Math.ceil(waitMs / 1000) },
+  );
+  replyError(ws, error, requestId);
+}
+
+/**
+ * Apply a per-IP limit to an HTTP route.
+ *
+ * @param {import("hono").Context} c
+ * @param {string} type - "http:*" key in DEFAULT_LIMITS
+ * @returns {Response|null} a 429 response if throttled
+ */
+function throttleHttp(c, type) {
+  const wait = limiter.check(null, c.env?.ip, type);
+  if (wait === 0) return null;
+
+  const retryAfter = Math.ceil(wait / 1000);
+  c.header("Retry-After", String(retryAfter));
+  return c.json({ error: "Too many requests", retryAfter }, 429);
+}
+
+/**
+ * Register a REST control route under `/api/rooms/:id`. The request must
+ * carry a valid API token for the room; `handler` gets the token ID to act
+ * as. A plain object result is sent as JSON, a Response as is, and a
+ * ProtocolError becomes an error response.
+ *
+ * @param {"get"|"post"} method
+ * @param {string} path - appended to `/api/rooms/:id`
+ * @param {(actorId: string, room: object, c: import("hono").Context) => any} handler
+ */
+function controlRoute(method, path, handler) {
+  app[method](`/api/rooms/:id${path}`, async (c) => {
+    const throttled = throttleHttp(c, "http:api");
+    if (throttled) return throttled;
+
+    try {
+      const room = rooms.getRoom(c.req.param("id"));
+      if (!room) {
+        throw new ProtocolError(ErrorCode.ROOM_NOT_FOUND, "Room not found");
+      }
+
+      const auth = c.req.header("authorization") || "";
+      const bearer = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+      const actorId = bearer && rooms.authenticateApiToken(room.id, bearer);
+      if (!actorId) {
+        throw new ProtocolError(ErrorCode.UNAUTHORIZED, "Invalid API token");
+      }
+
+      const result = await handler(actorId, room, c);
+      return result instanceof Response ? result : c.json(result);
+    } catch (err) {
+      return protocolErrorResponse(c, err);
+    }
+  });
+}
+
+/**
+ * Register an admin API route under `/api/admin`. Throttled per IP before
+ * the token is checked; results are sent like `controlRoute`'s.
+ *
+ * @param {"get"|"post"} method
+ * @param {string} path - appended to `/api/admin`
+ * @param {(c: import("hono").Context) => any} handler
+ */
+function adminRoute(method, path, handler) {
+  app[method](`/api/admin${path}`, async (c) => {
+    if (!ADMIN_TOKEN) return c.json({ error: "Admin API is disabled" }, 404);
+
+    const throttled = throttleHttp(c, "http:admin");
+    if (throttled) return throttled;
+
+    try {
+      const auth = c.req.header("authorization") || "";
+      const bearer = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+      if (!tokenMatches(bearer, ADMIN_TOKEN)) {
+        throw new ProtocolError(ErrorCode.UNAUTHORIZED, "Invalid admin token");
+      }
+
+      const result = await handler(c);
+      return result instanceof Response ? result : c.json(result);
+    } catch (err) {
+      return protocolErrorResponse(c, err);
+    }
+  });
+}
+
+/**
+ * Compare a bearer token with a configured secret (ADMIN_TOKEN,
+ * METRICS_TOKEN) in constant time.
+ * @param {string} bearer
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function tokenMatches(bearer, secret) {
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(bearer), digest(secret));
+}
+
+/**
+ * JSON body of a request, or `{}` if it has none or it isn't an object.
+ * @param {import("hono").Context} c
+ * @returns {Promise<object>}
+ */
+async function readJson(c) {
+  try {
+    const body = await c.req.json();
+    return body && typeof body === "object" ? body : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Turn a ProtocolError thrown by an HTTP route into `{ error, code, ... }`
+ * with a matching status. Anything else is rethrown.
+ *
+ * @param {import("hono").Context} c
+ * @param {Error} err
+ * @returns {Response}
+ */
+function protocolErrorResponse(c, err) {
+  if (!(err instanceof ProtocolError)) throw err;
+  return c.json(
+    { error: err.message, code: err.code, ...err.extra },
+    httpStatus(err.code),
+  );
+}
+
+/**
+ * Refuse a new webhook whose host resolves to a private address (see
+ * `checkWebhookTarget`); malformed URLs are left to `createWebhook`.
+ *
+ * @param {string} url
+ * @throws {ProtocolError} BAD_REQUEST
+ */
+async function checkWebhookHost(url) {
+  if (!isValidWebhookUrl(url)) return;
+  let refused;
+  try {
+    refused = await checkWebhookTarget(url, WEBHOOK_ALLOW_PRIVATE);
+  } catch {
+    refused = "Webhook host could not be resolved";
+  }
+  if (refused) throw new ProtocolError(ErrorCode.BAD_REQUEST, refused);
+}
+
+/**
+ * Resolve a link with its provider and add the track to the queue.
+ * Permission is checked before the oEmbed lookup.
  *
  * @param {string} userId
  * @param {string} url
+ * @returns {Promise<object>} the new track
+ * @throws {ProtocolError} FORBIDDEN, INVALID_URL, BLOCKED or DUPLICATE
  */
 async function handleQueueAdd(userId, url) {
-  const conn = rooms.connections.get(userId);
-  if (!conn) return;
-
-  const youtubeId = extractYouTubeId(url);
-  if (!youtubeId) {
-    rooms.sendTo(conn.ws, {
-      type: "room:error",
-      message: "Invalid YouTube URL",
+  if (!rooms.can(userId, "add")) {
+    throw new ProtocolError(
+      ErrorCode.FORBIDDEN,
+      "You don't have permission to add tracks",
+    );
+  }
+
+  const media = matchMedia(url);
+  if (!media) {
+    throw new ProtocolError(ErrorCode.INVALID_URL, `Not ${SUPPORTED_MEDIA}`);
+  }
+
+  const resolved = await resolveMedia(media, { cache: metaCache });
+  const warning = rooms.screenTrack(userId, resolved);
+  const track = rooms.addTrack(userId, resolved);
+  if (warning) rooms.systemMessage(userId, warning, { private: true });
+  return track;
+}
+
+/**
+ * Context for a chat command. `/add` spends a `queue:add` token on top of
+ * the chat message's own.
+ *
+ * @param {import("bun").ServerWebSocket} ws
+ * @param {string} userId
+ * @returns {import("./commands.js").CommandContext}
+ */
+function commandContext(ws, userId) {
+  return {
+    rooms,
+    userId,
+    addTrack(url) {
+      const wait = limiter.check(ws, ws.data?.ip, "queue:add");
+      if (wait > 0) {
+        throw new ProtocolError(
+          ErrorCode.RATE_LIMITED,
+          "Too many requests, slow down",
+          { retryAfter: Math.ceil(wait / 1000) },
+        );
+      }
+      return handleQueueAdd(userId, url);
+    },
+  };
+}
+
+/**
+ * Parse a bulk import, resolve every track and append them to the queue in
+ * one step. Lines no provider claims, or whose tracks are blocked or
+ * rejected as duplicates, are reported, not fatal.
+ *
+ * @param {string} userId
+ * @param {string} text
+ * @returns {Promise<{ added: number, failures: Array<{ line: number, input: string, reason: string }> }>}
+ * @throws {ProtocolError} FORBIDDEN, or BAD_REQUEST when nothing is importable
+ */
+async function importTracks(userId, text) {
+  if (!rooms.can(userId, "add")) {
+    throw new ProtocolError(
+      ErrorCode.FORBIDDEN,
+      "You don't have permission to add tracks",
+    );
+  }
+
+  const parsed = parseImport(text);
+  if (parsed.items.length === 0) {
+    throw new ProtocolError(ErrorCode.BAD_REQUEST, "No playable links found", {
+      failures: parsed.failures,
     });
-    return;
   }
 
-  const meta = await fetchVideoMeta(youtubeId);
-  rooms.addTrack(userId, {
-    youtubeId,
-    title: meta.title,
-    thumbnail: meta.thumbnail,
+  // Over the per-person queue limit: report the rest instead of failing all
+  const allowance = rooms.queueAllowance(userId);
+  const items = parsed.items.slice(0, allowance);
+  const failures = parsed.failures
+    .concat(
+      parsed.items.slice(items.length).map(({ line, mediaId }) => ({
+        line,
+        input: mediaId,
+        reason: "Queue limit reached",
+      })),
+    )
+    .sort((a, b) => a.line - b.line);
+  if (items.length === 0) {
+    throw new ProtocolError(
+      ErrorCode.QUEUE_LIMIT,
+      "You already have the most tracks allowed waiting in the queue",
+      { failures },
+    );
+  }
+
+  const resolved = await resolveImport(items, metaCache);
+  const tracks = [];
+  const warnings = [];
+  resolved.forEach((track, i) => {
+    try {
+      const alsoPending = tracks.map(mediaKey);
+      const warning = rooms.screenTrack(userId, track, alsoPending);
+      if (warning) warnings.push(warning);
+      tracks.push(track);
+    } catch (err) {
+      if (!(err instanceof ProtocolError)) throw err;
+      failures.push({
+        line: items[i].line,
+        input: track.mediaId,
+        reason: err.message,
+      });
+    }
   });
+  failures.sort((a, b) => a.line - b.line);
+  if (tracks.length === 0) {
+    throw new ProtocolError(
+      ErrorCode.BAD_REQUEST,
+      "No tracks could be queued",
+      {
+        failures,
+      },
+    );
+  }
+
+  const added = rooms.addTracks(userId, tracks).length;
+  if (warnings.length === 1) {
+    rooms.systemMessage(userId, warnings[0], { private: true });
+  } else if (warnings.length > 1) {
+    rooms.systemMessage(
+      userId,
+      `Heads up: ${warnings.length} of these tracks are already in the queue or were played recently`,
+      { private: true },
+    );
+  }
+  return { added, failures };
 }
 
-console.log(`🎵 Jukebox running at http://localhost:${PORT}`);
+log.info("server.started", {
+  url: `http://localhost:${PORT}`,
+  instanceId: bus.instanceId,
+  bus: ROOM_BUS,
+});
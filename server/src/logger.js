@@ -0,0 +1,38 @@
+/**
+ * Structured logging: one JSON object per line, e.g.
+ *   {"time":"2025-01-01T12:00:00.000Z","level":"info","msg":"user.joined","roomId":"abc","userId":"xyz"}
+ *
+ * Info and debug go to stdout, warnings and errors to stderr. `LOG_LEVEL`
+ * (debug | info | warn | error, default info) sets the minimum level.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+/**
+ * @param {keyof LEVELS} level
+ * @param {string} msg - event name, e.g. "user.joined"
+ * @param {Record<string, any>} [fields] - roomId, userId, ...; an `err` is expanded
+ */
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minLevel) return;
+
+  const { err, ...rest } = fields;
+  const entry = { time: new Date().toISOString(), level, msg, ...rest };
+  if (err) {
+    entry.error = err instanceof Error ? err.message : String(err);
+    if (err instanceof Error && err.stack) entry.stack = err.stack;
+  }
+
+  const line = JSON.stringify(entry) + "\n";
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line);
+  else process.stdout.write(line);
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
@@ -0,0 +1,203 @@
+/**
+ * Prometheus metrics, rendered in the text exposition format at `/metrics`.
+ *
+ * A tiny registry instead of a client library: counters and histograms are
+ * updated where things happen, gauges are sampled from live state when
+ * scraped. Everything is per instance.
+ */
+
+/** Default histogram buckets, in seconds */
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/** Recipients per broadcast */
+const FANOUT_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250];
+
+/**
+ * @param {Record<string, string>} labels
+ * @returns {string} `{a="1",b="2"}`, or "" without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  const inner = entries
+    .map(
+      ([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, "\\$&")}"`,
+    )
+    .join(",");
+  return `{${inner}}`;
+}
+
+/**
+ * A monotonically increasing count, optionally split by labels.
+ */
+export class Counter {
+  /**
+   * @param {string} name
+   * @param {string} help
+   */
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    /** @type {Map<string, number>} formatted labels → value */
+    this.values = new Map();
+  }
+
+  /**
+   * @param {Record<string, string>} [labels]
+   * @param {number} [amount]
+   */
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) ?? 0) + amount);
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} counter`,
+    ];
+    if (this.values.size === 0) lines.push(`${this.name} 0`);
+    for (const [labels, value] of this.values) {
+      lines.push(`${this.name}${labels} ${value}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+/**
+ * A value read from live state each time metrics are scraped.
+ */
+export class Gauge {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {() => number} collect
+   */
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} gauge`,
+      `${this.name} ${this.collect()}`,
+    ].join("\n");
+  }
+}
+
+/**
+ * Observations counted into cumulative buckets.
+ */
+export class Histogram {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {number[]} buckets - upper bounds, ascending
+   */
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.counts = new Array(buckets.length).fill(0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  /**
+   * @param {number} value
+   */
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) this.counts[i]++;
+    });
+    this.sum += value;
+    this.count++;
+  }
+
+  /**
+   * Observe the seconds from now until `end()` is called.
+   * @returns {() => void} end
+   */
+  startTimer() {
+    const start = performance.now();
+    return () => this.observe((performance.now() - start) / 1000);
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} histogram`,
+    ];
+    this.buckets.forEach((bound, i) => {
+      lines.push(`${this.name}_bucket{le="${bound}"} ${this.counts[i]}`);
+    });
+    lines.push(`${this.name}_bucket{le="+Inf"} ${this.count}`);
+    lines.push(`${this.name}_sum ${this.sum}`);
+    lines.push(`${this.name}_count ${this.count}`);
+    return lines.join("\n");
+  }
+}
+
+/**
+ * Metrics updated from anywhere in the server. Gauges are registered by
+ * `index.js` once the RoomManager exists.
+ */
+export const metrics = {
+  wsMessages: new Counter(
+    "jukebox_ws_messages_total",
+    "WebSocket messages received, by type",
+  ),
+  wsThrottled: new Counter(
+    "jukebox_ws_throttled_total",
+    "WebSocket messages dropped by the rate limiter, by type",
+  ),
+  wsErrors: new Counter(
+    "jukebox_ws_errors_total",
+    "room:error replies sent, by error code",
+  ),
+  queueAdds: new Counter("jukebox_queue_adds_total", "Tracks added to a queue"),
+  skips: new Counter("jukebox_skips_total", "Tracks skipped"),
+  oembedDuration: new Histogram(
+    "jukebox_oembed_request_duration_seconds",
+    "YouTube oEmbed request latency",
+    LATENCY_BUCKETS,
+  ),
+  oembedFailures: new Counter(
+    "jukebox_oembed_failures_total",
+    "YouTube oEmbed lookups that failed, by reason (http_<status>, timeout, network)",
+  ),
+  broadcastFanout: new Histogram(
+    "jukebox_broadcast_recipients",
+    "Sockets a room broadcast was sent to",
+    FANOUT_BUCKETS,
+  ),
+  sendFailures: new Counter(
+    "jukebox_send_failures_total",
+    "Messages dropped because the socket send failed",
+  ),
+};
+
+/** @type {Gauge[]} */
+const gauges = [];
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {() => number} collect
+ */
+export function registerGauge(name, help, collect) {
+  gauges.push(new Gauge(name, help, collect));
+}
+
+/**
+ * @returns {string} every metric in the Prometheus text format
+ */
+export function renderMetrics() {
+  return (
+    [...gauges, ...Object.values(metrics)].map((m) => m.render()).join("\n") +
+    "\n"
+  );
+}
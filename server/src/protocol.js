@@ -0,0 +1,217 @@
+/**
+ * WebSocket protocol: version, inbound message schemas and error codes.
+ *
+ * Every client → server message is `{ type, requestId?, ...fields }`. A
+ * message with a `requestId` is answered with `{ type: "ack", requestId }`
+ * once handled, or with a `room:error` carrying the same `requestId`.
+ */
+
+/** Current protocol version, sent back in room:state */
+export const PROTOCOL_VERSION = 1;
+
+/** Oldest client protocol version still accepted in `join` */
+export const MIN_PROTOCOL_VERSION = 1;
+
+/** Machine-readable `code` values of `room:error` */
+export const ErrorCode = {
+  BAD_REQUEST: "BAD_REQUEST", // malformed JSON or fields of the wrong type
+  UNKNOWN_TYPE: "UNKNOWN_TYPE",
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION",
+  NOT_JOINED: "NOT_JOINED", // message sent before a successful join
+  ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+  NOT_FOUND: "NOT_FOUND", // track or user
+  FORBIDDEN: "FORBIDDEN",
+  INVALID_STATE: "INVALID_STATE", // e.g. seeking with nothing playing
+  INVALID_URL: "INVALID_URL",
+  RATE_LIMITED: "RATE_LIMITED",
+  BANNED: "BANNED",
+  KICKED: "KICKED", // rejoining too soon after a kick
+  ROOM_LOCKED: "ROOM_LOCKED",
+  PASSWORD_REQUIRED: "PASSWORD_REQUIRED",
+  INCORRECT_PASSWORD: "INCORRECT_PASSWORD",
+  UNAUTHORIZED: "UNAUTHORIZED", // REST API: missing or invalid API token
+  QUEUE_LIMIT: "QUEUE_LIMIT", // too many of the sender's tracks are waiting
+  BLOCKED: "BLOCKED", // video or title on the room's blocklist
+  DUPLICATE: "DUPLICATE", // already pending or recently played
+  TOO_LONG: "TOO_LONG", // known to be over the room's maxTrackLength
+  INTERNAL: "INTERNAL",
+};
+
+/**
+ * An error reported back to the client as `room:error`.
+ */
+export class ProtocolError extends Error {
+  /**
+   * @param {string} code - one of ErrorCode
+   * @param {string} message - human-readable, shown to the user
+   * @param {object} [extra] - additional fields for the error reply
+   */
+  constructor(code, message, extra = {}) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+/** HTTP status for a ProtocolError raised by an HTTP route */
+const HTTP_STATUS = {
+  [ErrorCode.ROOM_NOT_FOUND]: 404,
+  [ErrorCode.NOT_FOUND]: 404,
+  [ErrorCode.NOT_JOINED]: 403,
+  [ErrorCode.UNAUTHORIZED]: 401,
+  [ErrorCode.FORBIDDEN]: 403,
+  [ErrorCode.BANNED]: 403,
+  [ErrorCode.KICKED]: 403,
+  [ErrorCode.RATE_LIMITED]: 429,
+  [ErrorCode.INVALID_STATE]: 409,
+  [ErrorCode.QUEUE_LIMIT]: 409,
+  [ErrorCode.BLOCKED]: 403,
+  [ErrorCode.DUPLICATE]: 409,
+  [ErrorCode.TOO_LONG]: 409,
+  [ErrorCode.INTERNAL]: 500,
+};
+
+/**
+ * @param {string} code - one of ErrorCode
+ * @returns {number} HTTP status, 400 unless listed in HTTP_STATUS
+ */
+export function httpStatus(code) {
+  return HTTP_STATUS[code] ?? 400;
+}
+
+/**
+ * Field specs per inbound message type. A spec is a `typeof` name
+ * ("string" | "number" | "boolean" | "object") or "array"; a trailing "?"
+ * makes the field optional. Unlisted fields are ignored.
+ */
+export const SCHEMAS = {
+  join: {
+    roomId: "string",
+    userName: "string?",
+    resumeToken: "string?",
+    password: "string?",
+    protocolVersion: "number?",
+  },
+  "queue:add": { url: "string" },
+  "queue:import": { text: "string" },
+  "queue:remove": { trackId: "string" },
+  "queue:move": { trackId: "string", toIndex: "number" },
+  "queue:playNext": { trackId: "string" },
+  "queue:clear": {},
+  "queue:jump": { trackId: "string" },
+  "playback:play": {},
+  "playback:pause": {},
+  "playback:skip": {},
+  "playback:ended": { trackId: "string" },
+  "track:duration": { trackId: "string", duration: "number" },
+  "playback:seek": { time: "number" },
+  "chat:message": { text: "string" },
+  "chat:react": { messageId: "string", emoji: "string" },
+  "chat:delete": { messageId: "string" },
+  "crossfade:set": { duration: "number" },
+  "mode:set": { repeat: "string?", shuffle: "boolean?" },
+  "user:role": { userId: "string", role: "string" },
+  "user:kick": { userId: "string" },
+  "user:ban": { userId: "string", byIp: "boolean?" },
+  "room:lock": { locked: "boolean" },
+  "settings:update": { settings: "object" },
+  "token:create": { name: "string?", role: "string?" },
+  "token:revoke": { tokenId: "string" },
+  "token:list": {},
+  "webhook:create": { url: "string", events: "array" },
+  "webhook:delete": { webhookId: "string" },
+  "webhook:test": { webhookId: "string" },
+  "webhook:list": {},
+  "blocklist:add": { kind: "string", value: "string" },
+  "blocklist:remove": { entryId: "string" },
+  "blocklist:list": {},
+  "time:ping": { t0: "number" },
+};
+
+/**
+ * Parse and validate a raw WebSocket frame.
+ *
+ * @param {string|Buffer} raw
+ * @returns {{ type: string, requestId?: string|number }} the message
+ * @throws {ProtocolError} BAD_REQUEST or UNKNOWN_TYPE
+ */
+export function parseMessage(raw) {
+  let msg;
+  try {
+    msg = JSON.parse(typeof raw === "string" ? raw : raw.toString());
+  } catch {
+    throw new ProtocolError(ErrorCode.BAD_REQUEST, "Malformed message");
+  }
+
+  if (!msg || typeof msg !== "object" || Array.isArray(msg)) {
+    throw new ProtocolError(ErrorCode.BAD_REQUEST, "Malformed message");
+  }
+
+  const { requestId } = msg;
+  if (
+    requestId !== undefined &&
+    !(typeof requestId === "string" && requestId.length <= 64) &&
+    !Number.isSafeInteger(requestId)
+  ) {
+    throw new ProtocolError(ErrorCode.BAD_REQUEST, "Invalid requestId");
+  }
+
+  const schema = Object.hasOwn(SCHEMAS, msg.type) ? SCHEMAS[msg.type] : null;
+  if (!schema) {
+    throw new ProtocolError(
+      ErrorCode.UNKNOWN_TYPE,
+      `Unknown message type: ${String(msg.type).slice(0, 32)}`,
+      { requestId },
+    );
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    if (!matches(msg[field], spec)) {
+      throw new ProtocolError(
+        ErrorCode.BAD_REQUEST,
+        `Invalid field "${field}" for ${msg.type}`,
+        { requestId },
+      );
+    }
+  }
+
+  return msg;
+}
+
+/**
+ * @param {any} value
+ * @param {string} spec
+ * @returns {boolean}
+ */
+function matches(value, spec) {
+  const optional = spec.endsWith("?");
+  const kind = optional ? spec.slice(0, -1) : spec;
+
+  if (value === undefined || value === null) return optional;
+  if (kind === "number") return Number.isFinite(value);
+  if (kind === "array") return Array.isArray(value);
+  if (kind === "object")
+    return typeof value === "object" && !Array.isArray(value);
+  return typeof value === kind;
+}
+
+/**
+ * Pick the protocol version for a connection from the one a client asks for
+ * in `join`. Clients that predate versioning send none and get the oldest.
+ *
+ * @param {number} [requested]
+ * @returns {number}
+ * @throws {ProtocolError} UNSUPPORTED_VERSION
+ */
+export function negotiateVersion(requested) {
+  const version = requested ?? MIN_PROTOCOL_VERSION;
+  if (!Number.isInteger(version) || version < MIN_PROTOCOL_VERSION) {
+    throw new ProtocolError(
+      ErrorCode.UNSUPPORTED_VERSION,
+      `Protocol version ${version} is no longer supported`,
+      { supported: [MIN_PROTOCOL_VERSION, PROTOCOL_VERSION] },
+    );
+  }
+  return Math.min(version, PROTOCOL_VERSION);
+}
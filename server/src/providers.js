@@ -0,0 +1,176 @@
+/**
+ * Media providers: the sources tracks can come from.
+ *
+ * A provider claims the URLs it understands (`match`) and resolves their
+ * metadata (`resolve`). Tracks store the provider's `id` as `provider` and
+ * what `match` returned as `mediaId`; the client plays them with the player
+ * adapter registered under the same id (`PLAYER_ADAPTERS` in index.html).
+ *
+ * Providers are tried in `PROVIDERS` order and the first match wins.
+ */
+
+import { extractYouTubeId, fetchVideoMeta } from "./youtube.js";
+
+/** File extensions of direct audio URLs (played by an `<audio>` element) */
+const AUDIO_EXTENSIONS = ["mp3", "ogg", "oga", "opus"];
+
+/** Longest direct audio URL accepted */
+const MAX_AUDIO_URL_LENGTH = 2048;
+
+/**
+ * @typedef {object} MediaProvider
+ * @property {string} id - stored on tracks as `provider`
+ * @property {string} label - human-readable name, for messages
+ * @property {(input: string) => string|null} match - the media ID for a URL or ID this provider handles
+ * @property {(mediaId: string, options: { cache?: import("./youtube.js").MetaCache, title?: string|null }) => Promise<{ title: string, thumbnail: string }>} resolve
+ *   `title` is one the input came with (an M3U `#EXTINF`, an export)
+ * @property {(mediaId: string) => string} url - a link to the media, for exports
+ */
+
+/** @type {MediaProvider} */
+const youtube = {
+  id: "youtube",
+  label: "YouTube",
+  match: extractYouTubeId,
+  // oEmbed title first, the imported one if the lookup fails
+  resolve: (mediaId, { cache, title }) =>
+    fetchVideoMeta(mediaId, cache, title || undefined),
+  url: (mediaId) => `https://www.youtube.com/watch?v=${mediaId}`,
+};
+
+/** @type {MediaProvider} */
+const audio = {
+  id: "audio",
+  label: "Audio file",
+  match: matchAudioUrl,
+  // Nothing is fetched server-side: the title comes from the import or the
+  // file name, and there is no artwork
+  resolve: async (mediaId, { title }) => ({
+    title: title || titleFromUrl(mediaId),
+    thumbnail: "",
+  }),
+  url: (mediaId) => mediaId,
+};
+
+/** @type {MediaProvider[]} in matching order */
+export const PROVIDERS = [youtube, audio];
+
+/** What the accepted inputs are, for "not a supported link" errors */
+export const SUPPORTED_MEDIA = `a YouTube link or a direct ${AUDIO_EXTENSIONS.join(" / ")} URL`;
+
+/**
+ * @param {string} id
+ * @returns {MediaProvider|null}
+ */
+export function getProvider(id) {
+  return PROVIDERS.find((p) => p.id === id) ?? null;
+}
+
+/**
+ * Find the provider for a URL or ID.
+ * @param {string} input
+ * @returns {{ provider: string, mediaId: string }|null}
+ */
+export function matchMedia(input) {
+  if (!input || typeof input !== "string") return null;
+  for (const provider of PROVIDERS) {
+    const mediaId = provider.match(input);
+    if (mediaId) return { provider: provider.id, mediaId };
+  }
+  return null;
+}
+
+/**
+ * Resolve a matched input into track data for `RoomManager.addTracks`.
+ *
+ * @param {{ provider: string, mediaId: string }} media - from `matchMedia`
+ * @param {object} [options]
+ * @param {import("./youtube.js").MetaCache} [options.cache]
+ * @param {string|null} [options.title] - title the input came with
+ * @returns {Promise<{ provider: string, mediaId: string, title: string, thumbnail: string }>}
+ */
+export async function resolveMedia({ provider, mediaId }, options = {}) {
+  const meta = await getProvider(provider).resolve(mediaId, options);
+  return { provider, mediaId, title: meta.title, thumbnail: meta.thumbnail };
+}
+
+/**
+ * @param {{ provider: string, mediaId: string }} item - a track or history entry
+ * @returns {string} a link to the media
+ */
+export function mediaUrl({ provider, mediaId }) {
+  return getProvider(provider)?.url(mediaId) ?? mediaId;
+}
+
+/**
+ * @param {{ provider: string, mediaId: string }} item
+ * @returns {string} an identity for duplicate checks, "provider:mediaId"
+ */
+export function mediaKey({ provider, mediaId }) {
+  return `${provider}:${mediaId}`;
+}
+
+/**
+ * Fill in `provider` / `mediaId` on a track or history entry saved before
+ * there were providers (YouTube only, `youtubeId`), and `youtubeId` on new
+ * ones, which older clients still read.
+ *
+ * @param {object} item
+ * @returns {object} the same object
+ */
+export function normalizeMedia(item) {
+  if (!item.provider) {
+    item.provider = "youtube";
+    item.mediaId = item.youtubeId;
+  }
+  item.youtubeId = item.provider === "youtube" ? item.mediaId : null;
+  return item;
+}
+
+/**
+ * @param {string} input
+ * @returns {string|null} the normalized URL of a direct audio file
+ */
+function matchAudioUrl(input) {
+  const trimmed = input.trim();
+  if (trimmed.length > MAX_AUDIO_URL_LENGTH) return null;
+
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+  if (url.username || url.password) return null;
+
+  const extension = url.pathname.split(".").pop().toLowerCase();
+  if (!url.pathname.includes(".") || !AUDIO_EXTENSIONS.includes(extension)) {
+    return null;
+  }
+  url.hash = "";
+  return url.href;
+}
+
+/**
+ * "My%20Song_(live).mp3" → "My Song (live)"
+ * @param {string} mediaId
+ * @returns {string}
+ */
+function titleFromUrl(mediaId) {
+  const url = new URL(mediaId);
+  const file = url.pathname.split("/").pop() || url.hostname;
+  let name;
+  try {
+    name = decodeURIComponent(file);
+  } catch {
+    name = file;
+  }
+  return (
+    name
+      .replace(/\.[^.]+$/, "")
+      .replace(/[_+]+/g, " ")
+      .trim()
+      .slice(0, 200) || url.hostname
+  );
+}
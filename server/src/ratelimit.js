@@ -0,0 +1,208 @@
+/**
+ * Token-bucket rate limiting for WebSocket messages and HTTP routes.
+ *
+ * Every message type gets its own bucket, both per connection and per client
+ * IP (with a larger allowance, since several tabs may share an address). The
+ * "*" bucket applies to every message on top of its type's bucket.
+ */
+
+/**
+ * Per-connection limits: `capacity` tokens, refilled at `perSecond`.
+ * Types without an entry only count against "*". "http:" entries are per IP.
+ */
+export const DEFAULT_LIMITS = {
+  "*": { capacity: 40, perSecond: 20 },
+  join: { capacity: 5, perSecond: 0.5 },
+  "chat:message": { capacity: 8, perSecond: 1 },
+  "chat:react": { capacity: 10, perSecond: 2 },
+  "queue:add": { capacity: 5, perSecond: 0.5 },
+  "queue:import": { capacity: 3, perSecond: 0.1 },
+  "playback:seek": { capacity: 6, perSecond: 2 },
+  "playback:skip": { capacity: 4, perSecond: 1 },
+  "track:duration": { capacity: 3, perSecond: 0.2 },
+  "time:ping": { capacity: 10, perSecond: 1 },
+  "http:rooms": { capacity: 5, perSecond: 0.2 },
+  "http:resolve": { capacity: 10, perSecond: 1 },
+  "http:import": { capacity: 5, perSecond: 0.1 },
+  "http:api": { capacity: 30, perSecond: 5 },
+  "http:admin": { capacity: 20, perSecond: 2 },
+};
+
+/** How long an idle per-IP entry is kept before being swept */
+const IP_IDLE_MS = 10 * 60_000;
+
+/**
+ * Classic token bucket.
+ */
+export class TokenBucket {
+  /**
+   * @param {number} capacity
+   * @param {number} perSecond - refill rate
+   */
+  constructor(capacity, perSecond) {
+    this.capacity = capacity;
+    this.perSecond = perSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Time until a token is available, without taking one.
+   * @param {number} [now]
+   * @returns {number} 0 if a token is available, otherwise ms to wait
+   */
+  wait(now = Date.now()) {
+    const refill = ((now - this.updatedAt) / 1000) * this.perSecond;
+    this.tokens = Math.min(this.capacity, this.tokens + refill);
+    this.updatedAt = now;
+
+    if (this.tokens >= 1) return 0;
+    return Math.ceil(((1 - this.tokens) / this.perSecond) * 1000);
+  }
+
+  /**
+   * Take one token if available.
+   * @param {number} [now]
+   * @returns {number} 0 if taken, otherwise ms until a token is available
+   */
+  take(now = Date.now()) {
+    const wait = this.wait(now);
+    if (wait === 0) this.tokens -= 1;
+    return wait;
+  }
+}
+
+export class RateLimiter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.limits] - see DEFAULT_LIMITS
+   * @param {number} [options.ipMultiplier] - per-IP allowance vs per-connection
+   * @param {number} [options.maxConnectionsPerIp] - concurrent sockets per IP
+   */
+  constructor(options = {}) {
+    this.limits = options.limits || DEFAULT_LIMITS;
+    this.ipMultiplier = options.ipMultiplier ?? 4;
+    this.maxConnectionsPerIp = options.maxConnectionsPerIp ?? 20;
+
+    /** @type {WeakMap<object, Map<string, TokenBucket>>} connection → buckets */
+    this.connBuckets = new WeakMap();
+
+    /** @type {Map<string, { buckets: Map<string, TokenBucket>, seenAt: number }>} */
+    this.ipBuckets = new Map();
+
+    /** @type {Map<string, number>} ip → open sockets */
+    this.ipConnections = new Map();
+
+    this.sweepTimer = setInterval(() => this.sweep(), IP_IDLE_MS);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Check a message against the "*" and per-type limits for its connection
+   * and IP. Consumes tokens only when allowed.
+   *
+   * @param {object|null} conn - any per-connection object (e.g. the ws)
+   * @param {string|null} ip
+   * @param {string} type
+   * @returns {number} 0 if allowed, otherwise ms to wait before retrying
+   */
+  check(conn, ip, type) {
+    const now = Date.now();
+
+    // HTTP routes only have their own bucket; messages also count against "*"
+    const keys = type.startsWith("http:") ? [] : ["*"];
+    if (type in this.limits) keys.push(type);
+
+    const buckets = [];
+    for (const key of keys) {
+      if (conn) buckets.push(this._connBucket(conn, key));
+      if (ip) buckets.push(this._ipBucket(ip, key, now));
+    }
+
+    // Refuse without consuming anything if any bucket is empty
+    const wait = Math.max(0, ...buckets.map((b) => b.wait(now)));
+    if (wait > 0) return wait;
+
+    for (const bucket of buckets) bucket.take(now);
+    return 0;
+  }
+
+  /**
+   * Register a new socket for an IP.
+   * @param {string|null} ip
+   * @returns {boolean} false if the IP already has too many sockets open
+   */
+  acquireConnection(ip) {
+    if (!ip) return true;
+    const count = this.ipConnections.get(ip) || 0;
+    if (count >= this.maxConnectionsPerIp) return false;
+    this.ipConnections.set(ip, count + 1);
+    return true;
+  }
+
+  /**
+   * @param {string|null} ip
+   */
+  releaseConnection(ip) {
+    if (!ip) return;
+    const count = (this.ipConnections.get(ip) || 1) - 1;
+    if (count <= 0) this.ipConnections.delete(ip);
+    else this.ipConnections.set(ip, count);
+  }
+
+  /**
+   * Drop per-IP buckets that haven't been used for a while.
+   */
+  sweep() {
+    const cutoff = Date.now() - IP_IDLE_MS;
+    for (const [ip, entry] of this.ipBuckets) {
+      if (entry.seenAt < cutoff) this.ipBuckets.delete(ip);
+    }
+  }
+
+  /**
+   * @param {object} conn
+   * @param {string} key
+   * @returns {TokenBucket}
+   */
+  _connBucket(conn, key) {
+    let buckets = this.connBuckets.get(conn);
+    if (!buckets) {
+      buckets = new Map();
+      this.connBuckets.set(conn, buckets);
+    }
+
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      const { capacity, perSecond } = this.limits[key];
+      bucket = new TokenBucket(capacity, perSecond);
+      buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * @param {string} ip
+   * @param {string} key
+   * @param {number} now
+   * @returns {TokenBucket}
+   */
+  _ipBucket(ip, key, now) {
+    let entry = this.ipBuckets.get(ip);
+    if (!entry) {
+      entry = { buckets: new Map(), seenAt: now };
+      this.ipBuckets.set(ip, entry);
+    }
+    entry.seenAt = now;
+
+    let bucket = entry.buckets.get(key);
+    if (!bucket) {
+      // HTTP limits are already per IP; only message limits are scaled up
+      const scale = key.startsWith("http:") ? 1 : this.ipMultiplier;
+      const { capacity, perSecond } = this.limits[key];
+      bucket = new TokenBucket(capacity * scale, perSecond * scale);
+      entry.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+}
@@ -1,4 +1,20 @@
+import {
+  createHash,
+  randomBytes,
+  scryptSync,
+  timingSafeEqual,
+} from "node:crypto";
 import { nanoid } from "nanoid";
+import { log } from "./logger.js";
+import { metrics } from "./metrics.js";
+import { ErrorCode, PROTOCOL_VERSION, ProtocolError } from "./protocol.js";
+import { WEBHOOK_EVENTS, isValidWebhookUrl } from "./webhooks.js";
+import {
+  SUPPORTED_MEDIA,
+  matchMedia,
+  mediaKey,
+  normalizeMedia,
+} from "./providers.js";
 
 /** Predefined avatar colours for users */
 const USER_COLORS = [
@@ -16,15 +32,199 @@ const USER_COLORS = [
   "#40C4FF",
 ];
 
+/** Room roles, lowest to highest. The host is always `room.hostId`. */
+const ROLES = ["listener", "dj", "cohost", "host"];
+
+/** Roles the host can hand out */
+const ASSIGNABLE_ROLES = ["listener", "dj", "cohost"];
+
+/**
+ * Default room settings. Each permission names the lowest role allowed to
+ * perform the action; the defaults keep rooms fully democratic. The queue
+ * rules at the end are off by default.
+ */
+const DEFAULT_SETTINGS = {
+  defaultRole: "listener", // role given to newcomers
+  add: "listener", // add tracks
+  pause: "listener", // play / pause
+  seek: "listener",
+  crossfade: "listener",
+  mode: "listener", // shuffle / repeat
+  removeOthers: "cohost", // remove / reorder other users' tracks
+  fairQueue: false, // interleave upcoming tracks round-robin by who added them
+  maxPendingPerUser: 0, // upcoming tracks per person (0 = no limit; co-hosts exempt)
+  maxTrackLength: 0, // seconds (0 = no limit)
+  duplicates: "allow", // "allow" | "warn" | "reject" tracks already pending or recently played
+  duplicateWindow: 0, // minutes of play history that count as recent (0 = pending only)
+};
+
+/** Settings that aren't role permissions: key → valid-value check */
+const QUEUE_RULES = {
+  fairQueue: (v) => typeof v === "boolean",
+  maxPendingPerUser: (v) => Number.isInteger(v) && v >= 0 && v <= 500,
+  maxTrackLength: (v) => Number.isInteger(v) && v >= 0 && v <= 86_400,
+  duplicates: (v) => ["allow", "warn", "reject"].includes(v),
+  duplicateWindow: (v) => Number.isInteger(v) && v >= 0 && v <= 1440,
+};
+
+/** What each permission allows, for FORBIDDEN messages */
+const PERMISSION_ACTIONS = {
+  add: "add tracks",
+  pause: "play or pause",
+  seek: "seek",
+  crossfade: "change the crossfade",
+  mode: "change shuffle and repeat",
+  removeOthers: "change other people's tracks",
+};
+
+/** Default time (ms) a disconnected user is kept before being removed */
+const DEFAULT_RESUME_GRACE_MS = 30_000;
+
+/** Default time (ms) a kicked user's resume tokens and address can't rejoin */
+const DEFAULT_KICK_BLOCK_MS = 10 * 60_000;
+
+/** A client's "ended" report is accepted this many seconds before the known end */
+const ENDED_TOLERANCE_S = 5;
+
+/** `room.repeat` values: off, replay the current track, or loop the queue */
+const REPEAT_MODES = ["off", "one", "all"];
+
+/** Play history entries kept per room (oldest are dropped first) */
+const HISTORY_LIMIT = 200;
+
+/** Chat messages kept per room for late joiners (oldest are dropped first) */
+const CHAT_LIMIT = 100;
+
+/** Distinct reaction emoji a chat message may carry */
+const MAX_REACTIONS = 20;
+
+/** A single emoji (skin tones, variation selectors and ZWJ sequences included) or flag */
+const REACTION_PATTERN =
+  /^(?:\p{Regional_Indicator}{2}|\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F|\u200D\p{Extended_Pictographic})*)$/u;
+
+/** Most API tokens a room may have at once */
+const MAX_API_TOKENS = 10;
+
+/** Most webhooks a room may have at once */
+const MAX_WEBHOOKS = 5;
+
+/** Most blocklist entries a room may have */
+const MAX_BLOCKLIST = 200;
+
+/** Longest blocklist keyword pattern */
+const MAX_KEYWORD_LENGTH = 100;
+
+/** Most upcoming tracks in a feed `queue` event */
+const FEED_UPCOMING = 20;
+
+/**
+ * Hash a room password as "salt:hash" (hex, scrypt).
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(password, salt, 32);
+  return `${salt.toString("hex")}:${hash.toString("hex")}`;
+}
+
+/**
+ * Check a password against a hash from `hashPassword`.
+ * @param {string} password
+ * @param {string} stored
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored).split(":");
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = scryptSync(String(password), Buffer.from(salt, "hex"), 32);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * A shuffled copy of an array (Fisher–Yates).
+ * @template T
+ * @param {T[]} items
+ * @returns {T[]}
+ */
+function shuffled(items) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} m:ss
+ */
+function formatMinutes(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+/**
+ * A blocklist keyword as a case-insensitive regex; `*` matches anything.
+ * @param {string} keyword
+ * @returns {RegExp}
+ */
+function keywordPattern(keyword) {
+  const source = keyword
+    .split("*")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(source, "i");
+}
+
+/**
+ * SHA-256 of an API token secret (hex). Secrets are random, so no salt.
+ * @param {string} secret
+ * @returns {string}
+ */
+function hashSecret(secret) {
+  return createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * An API token as shown to the host (no hash).
+ * @param {object} token
+ * @returns {{ id: string, name: string, role: string, createdAt: number, lastUsedAt: number|null }}
+ */
+function publicToken({ id, name, role, createdAt, lastUsedAt }) {
+  return { id, name, role, createdAt, lastUsedAt };
+}
+
+/**
+ * A webhook as shown to the host (no secret).
+ * @param {object} hook
+ * @returns {object}
+ */
+function publicWebhook({ secret, ...hook }) {
+  return hook;
+}
+
 /**
  * Central in-memory store for all rooms, users, and playback state.
+ * `snapshot()` / `restore()` let a storage backend carry rooms across restarts.
  *
  * Connection tracking:
- *   connections: Map<userId, { ws, roomId }>
- *   wsToUser:    Map<ws, userId>
+ *   connections:   Map<userId, { ws, roomId }>
+ *   wsToUser:      Map<ws, userId>
+ *   pendingLeaves: Map<userId, { roomId, timer }>  (disconnected, within grace)
+ *   apiActors:     Map<tokenId, roomId>             (API tokens act as users)
+ *   watchers:      Map<roomId, Set<ws>>             (feed subscribers, not users)
  */
 export class RoomManager {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.resumeGraceMs] - how long a dropped user can resume
+   * @param {number} [options.emptyRoomTtlMs] - how long an empty room lingers (0 = delete at once)
+   * @param {import("./webhooks.js").WebhookDispatcher} [options.webhooks] - delivers room webhooks
+   * @param {import("./bus.js").LocalBus|import("./bus.js").BrokerBus} [options.bus] - room ownership across instances
+   */
+  constructor(options = {}) {
     /** @type {Map<string, object>} roomId → Room */
     this.rooms = new Map();
 
@@ -33,6 +233,27 @@ export class RoomManager {
 
     /** @type {Map<any, string>} ws → userId */
     this.wsToUser = new Map();
+
+    /** @type {Map<string, { roomId: string, timer: any }>} userId → pending removal */
+    this.pendingLeaves = new Map();
+
+    /** @type {Map<string, string>} API token ID → roomId */
+    this.apiActors = new Map();
+
+    /** @type {Map<string, Set<any>>} roomId → now-playing feed subscribers */
+    this.watchers = new Map();
+
+    /** @type {Map<string, any>} roomId → expiry timer for empty rooms */
+    this.roomExpiry = new Map();
+
+    /** @type {Map<string, any>} roomId → end-of-track timer */
+    this.trackTimers = new Map();
+
+    this.resumeGraceMs = options.resumeGraceMs ?? DEFAULT_RESUME_GRACE_MS;
+    this.kickBlockMs = options.kickBlockMs ?? DEFAULT_KICK_BLOCK_MS;
+    this.emptyRoomTtlMs = options.emptyRoomTtlMs ?? 0;
+    this.webhooks = options.webhooks ?? null;
+    this.bus = options.bus ?? null;
   }
 
   // ─── Room Management ─────────────────────────────────────────────────────
@@ -40,9 +261,10 @@ export class RoomManager {
   /**
    * Create a new room.
    * @param {string} [name]
+   * @param {{ password?: string }} [options]
    * @returns {{ id: string, name: string }}
    */
-  createRoom(name) {
+  createRoom(name, options = {}) {
     const id = nanoid(8);
     const roomName =
       name && name.trim() ? name.trim().slice(0, 64) : `Room ${id}`;
@@ -59,11 +281,34 @@ export class RoomManager {
       startedAt: 0,
       elapsed: 0,
       users: new Map(),
+      sessions: new Map(),
       skipVotes: new Set(),
+      trackReports: null, // see _corroborated
       crossfadeDuration: 3,
+      repeat: "off",
+      shuffle: false,
+      shuffleOrder: [],
+      settings: { ...DEFAULT_SETTINGS },
+      roles: new Map(),
+      password: options.password
+        ? hashPassword(String(options.password))
+        : null,
+      locked: false,
+      bannedTokens: new Set(),
+      bannedIps: new Set(),
+      kicks: new Map(), // resume token → blocked until (ms)
+      ips: new Map(),
+      history: [],
+      chat: [],
+      apiTokens: new Map(),
+      webhooks: new Map(),
+      blocklist: [],
+      emptySince: null,
     };
 
     this.rooms.set(id, room);
+    this._claimRoom(room);
+    log.info("room.created", { roomId: id });
     return { id, name: roomName };
   }
 
@@ -76,18 +321,93 @@ export class RoomManager {
     return this.rooms.get(roomId) || null;
   }
 
+  /**
+   * The room a user or API token is in.
+   * @param {string} userId
+   * @returns {object|null}
+   */
+  roomOf(userId) {
+    return this._roomForUser(userId);
+  }
+
   /**
    * Join an existing room.
-   * Creates a User, registers the WebSocket, and sends room:state.
+   * Creates a User (or resumes an existing one when a valid resume token is
+   * given), registers the WebSocket, and sends room:state.
+   * New users are checked against bans (resume token or IP), recent kicks,
+   * the room lock and the password. A valid resume token skips everything
+   * but a ban on that token: people sharing a banned user's address can
+   * still reconnect.
+   *
+   * @throws {ProtocolError} ROOM_NOT_FOUND, BANNED, KICKED, ROOM_LOCKED,
+   *   PASSWORD_REQUIRED or INCORRECT_PASSWORD
    *
    * @param {string} roomId
    * @param {string} userName
    * @param {any} ws  - WebSocket reference (Bun ServerWebSocket)
+   * @param {object} [options]
+   * @param {string} [options.resumeToken] - token from a previous room:state
+   * @param {string} [options.password]
+   * @param {string} [options.ip] - client address, for IP bans
+   * @param {number} [options.protocolVersion] - negotiated, echoed in room:state
    */
-  joinRoom(roomId, userName, ws) {
+  joinRoom(roomId, userName, ws, options = {}) {
+    const { resumeToken, password, ip } = options;
+    const protocolVersion = options.protocolVersion ?? PROTOCOL_VERSION;
+
     const room = this.rooms.get(roomId);
     if (!room) {
-      this.sendTo(ws, { type: "room:error", message: "Room not found" });
+      throw new ProtocolError(ErrorCode.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    const resumedId = resumeToken ? room.sessions.get(resumeToken) : null;
+    const resuming = resumedId && room.users.has(resumedId);
+
+    if (
+      (resumeToken && room.bannedTokens.has(resumeToken)) ||
+      (!resuming && ip && room.bannedIps.has(ip))
+    ) {
+      throw new ProtocolError(
+        ErrorCode.BANNED,
+        "You are banned from this room",
+      );
+    }
+
+    const kickedFor = this._kickRemaining(room, resumeToken);
+    if (kickedFor > 0) {
+      const minutes = Math.ceil(kickedFor / 60_000);
+      throw new ProtocolError(
+        ErrorCode.KICKED,
+        `You were removed from this room; try again in ${minutes} min`,
+        { retryAfter: Math.ceil(kickedFor / 1000) },
+      );
+    }
+
+    if (!resuming) {
+      if (room.locked) {
+        throw new ProtocolError(ErrorCode.ROOM_LOCKED, "Room is locked");
+      }
+      if (room.password && !password) {
+        throw new ProtocolError(
+          ErrorCode.PASSWORD_REQUIRED,
+          "Password required",
+        );
+      }
+      if (room.password && !verifyPassword(password, room.password)) {
+        throw new ProtocolError(
+          ErrorCode.INCORRECT_PASSWORD,
+          "Incorrect password",
+        );
+      }
+    }
+
+    this._clearRoomExpiry(room.id);
+    room.emptySince = null;
+
+    if (resuming) {
+      if (ip) room.ips.set(resumedId, ip);
+      this._resumeUser(room, resumedId, resumeToken, ws, protocolVersion);
+      log.info("user.resumed", { roomId, userId: resumedId });
       return;
     }
 
@@ -105,6 +425,10 @@ export class RoomManager {
     }
 
     room.users.set(userId, user);
+    if (ip) room.ips.set(userId, ip);
+
+    const token = nanoid(24);
+    room.sessions.set(token, userId);
 
     // Track connection
     this.connections.set(userId, { ws, roomId });
@@ -115,15 +439,21 @@ export class RoomManager {
       type: "room:state",
       room: this.serializeRoom(room),
       userId,
+      resumeToken: token,
+      protocolVersion,
     });
 
     // Broadcast join event to all other users in the room
     this.broadcastToRoom(roomId, { type: "user:joined", user }, ws);
+    this._emit(room, "user.joined", { user });
+    this._recountSkipVotes(room);
+    log.info("user.joined", { roomId, userId });
   }
 
   /**
-   * Remove a user from their room by userId.
-   * Handles host migration and room cleanup.
+   * Start the grace period for a user whose socket went away.
+   * The user keeps their identity, host role and votes until the grace
+   * period expires; resuming within it cancels the removal.
    *
    * @param {string} userId
    */
@@ -132,38 +462,359 @@ export class RoomManager {
     if (!conn) return;
 
     const { roomId, ws } = conn;
-    const room = this.rooms.get(roomId);
 
     // Clean up connection maps
     this.connections.delete(userId);
     this.wsToUser.delete(ws);
 
-    if (!room) return;
+    if (!this.rooms.has(roomId)) return;
+
+    if (this.resumeGraceMs <= 0) {
+      this._removeUser(roomId, userId);
+      return;
+    }
+
+    log.info("user.disconnected", { roomId, userId });
+    this._startGrace(roomId, userId);
+    this._recountSkipVotes(this.rooms.get(roomId));
+  }
+
+  /**
+   * Convenience: leave room by WebSocket reference (used in WS close handler).
+   * @param {any} ws
+   */
+  leaveByWs(ws) {
+    const userId = this.wsToUser.get(ws);
+    if (userId) this.leaveRoom(userId);
+    else this.unwatchRoom(ws);
+  }
+
+  /**
+   * Schedule a disconnected user's removal after the resume grace period.
+   * @param {string} roomId
+   * @param {string} userId
+   */
+  _startGrace(roomId, userId) {
+    const timer = setTimeout(() => {
+      this.pendingLeaves.delete(userId);
+      this._removeUser(roomId, userId);
+    }, this.resumeGraceMs);
+
+    this.pendingLeaves.set(userId, { roomId, timer });
+  }
+
+  /**
+   * Re-attach a returning user to a new WebSocket.
+   * If the user still has a live socket (e.g. a reload raced the close),
+   * the old socket is dropped in favour of the new one.
+   *
+   * @param {object} room
+   * @param {string} userId
+   * @param {string} resumeToken
+   * @param {any} ws
+   * @param {number} protocolVersion
+   */
+  _resumeUser(room, userId, resumeToken, ws, protocolVersion) {
+    const pending = this.pendingLeaves.get(userId);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pendingLeaves.delete(userId);
+    }
+
+    const previous = this.connections.get(userId);
+    if (previous && previous.ws !== ws) {
+      this.wsToUser.delete(previous.ws);
+      try {
+        previous.ws.close();
+      } catch {
+        // already closed
+      }
+    }
+
+    this.connections.set(userId, { ws, roomId: room.id });
+    this.wsToUser.set(ws, userId);
+
+    this.sendTo(ws, {
+      type: "room:state",
+      room: this.serializeRoom(room),
+      userId,
+      resumeToken,
+      protocolVersion,
+    });
+    this._recountSkipVotes(room);
+  }
+
+  /**
+   * Remove a user from a room for good.
+   * Handles host migration and room cleanup.
+   *
+   * @param {string} roomId
+   * @param {string} userId
+   */
+  _removeUser(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    const user = room?.users.get(userId);
+    if (!user) return;
 
     room.users.delete(userId);
     room.skipVotes.delete(userId);
+    room.roles.delete(userId);
+    room.ips.delete(userId);
+    log.info("user.left", { roomId, userId });
+    for (const [token, id] of room.sessions) {
+      if (id === userId) room.sessions.delete(token);
+    }
 
     // Notify remaining users
     this.broadcastToRoom(roomId, { type: "user:left", userId });
+    this._emit(room, "user.left", { userId, name: user.name });
+    if (this._applyFairOrder(room)) this._broadcastQueue(room);
+    if (room.users.size > 0) this._recountSkipVotes(room);
 
-    // Host migration
+    // Host migration — prefer a connected co-host, then anyone connected
     if (room.hostId === userId && room.users.size > 0) {
-      room.hostId = room.users.keys().next().value;
+      const ids = Array.from(room.users.keys());
+      const connected = ids.filter((id) => this.connections.has(id));
+      room.hostId =
+        connected.find((id) => room.roles.get(id) === "cohost") ||
+        connected[0] ||
+        ids[0];
+      room.roles.delete(room.hostId);
+      this._broadcastRoles(room);
     }
 
-    // Prune empty rooms
     if (room.users.size === 0) {
-      this.rooms.delete(roomId);
+      this._roomEmptied(room);
     }
   }
 
   /**
-   * Convenience: leave room by WebSocket reference (used in WS close handler).
-   * @param {any} ws
+   * Handle the last user leaving: prune the room, or pause it and let it
+   * linger for `emptyRoomTtlMs` so invite links keep working.
+   *
+   * @param {object} room
    */
-  leaveByWs(ws) {
-    const userId = this.wsToUser.get(ws);
-    if (userId) this.leaveRoom(userId);
+  _roomEmptied(room) {
+    if (this.emptyRoomTtlMs <= 0) {
+      this._clearTrackEnd(room.id);
+      this._deleteRoom(room);
+      return;
+    }
+
+    if (room.playbackState === "playing") {
+      room.elapsed = (Date.now() - room.startedAt) / 1000;
+      room.playbackState = "paused";
+    }
+    this._clearTrackEnd(room.id);
+    room.skipVotes.clear();
+    room.locked = false; // nobody left to unlock it
+    room.emptySince = room.emptySince || Date.now();
+
+    this._scheduleRoomExpiry(room);
+  }
+
+  /**
+   * Delete an empty room once its TTL has run out.
+   * @param {object} room
+   */
+  _scheduleRoomExpiry(room) {
+    this._clearRoomExpiry(room.id);
+
+    const remaining = room.emptySince + this.emptyRoomTtlMs - Date.now();
+    const timer = setTimeout(
+      () => {
+        this.roomExpiry.delete(room.id);
+        if (room.users.size === 0) this._deleteRoom(room);
+      },
+      Math.max(0, remaining),
+    );
+
+    this.roomExpiry.set(room.id, timer);
+  }
+
+  /**
+   * Drop a room and the API tokens that act in it.
+   * @param {object} room
+   */
+  _deleteRoom(room) {
+    this._closeWatchers(room, null);
+    for (const tokenId of room.apiTokens.keys()) {
+      this.apiActors.delete(tokenId);
+    }
+    this.rooms.delete(room.id);
+    this.bus?.releaseRoom(room.id);
+    log.info("room.deleted", { roomId: room.id });
+  }
+
+  /**
+   * Register this instance as the room's owner on the room bus. A restored
+   * room that another instance already owns is dropped here.
+   * @param {object} room
+   */
+  _claimRoom(room) {
+    if (!this.bus) return;
+
+    this.bus.claimRoom(room.id).then(
+      (ok) => {
+        if (ok || this.rooms.get(room.id) !== room) return;
+        for (const userId of room.users.keys()) {
+          clearTimeout(this.pendingLeaves.get(userId)?.timer);
+          this.pendingLeaves.delete(userId);
+        }
+        this._clearTrackEnd(room.id);
+        this._clearRoomExpiry(room.id);
+        this._deleteRoom(room);
+      },
+      (err) => log.error("room.claim_failed", { roomId: room.id, err }),
+    );
+  }
+
+  /**
+   * @param {string} roomId
+   */
+  _clearRoomExpiry(roomId) {
+    const timer = this.roomExpiry.get(roomId);
+    if (timer) {
+      clearTimeout(timer);
+      this.roomExpiry.delete(roomId);
+    }
+  }
+
+  // ─── Persistence ──────────────────────────────────────────────────────────
+
+  /**
+   * Produce a JSON-safe snapshot of every room for a storage backend.
+   * Live sockets and skip votes are not persisted; users and their resume
+   * tokens are, so clients can resume after a restart.
+   *
+   * @returns {object[]}
+   */
+  snapshot() {
+    return Array.from(this.rooms.values(), (room) => ({
+      id: room.id,
+      name: room.name,
+      createdAt: room.createdAt,
+      hostId: room.hostId,
+      queue: room.queue,
+      currentIndex: room.currentIndex,
+      playbackState: room.playbackState,
+      elapsed:
+        room.playbackState === "playing"
+          ? (Date.now() - room.startedAt) / 1000
+          : room.elapsed,
+      crossfadeDuration: room.crossfadeDuration,
+      repeat: room.repeat,
+      shuffle: room.shuffle,
+      shuffleOrder: room.shuffleOrder,
+      settings: room.settings,
+      roles: Array.from(room.roles.entries()),
+      password: room.password,
+      locked: room.locked,
+      bannedTokens: Array.from(room.bannedTokens),
+      bannedIps: Array.from(room.bannedIps),
+      kicks: Array.from(room.kicks.entries()),
+      ips: Array.from(room.ips.entries()),
+      users: Array.from(room.users.values()),
+      sessions: Array.from(room.sessions.entries()),
+      history: room.history,
+      chat: room.chat,
+      apiTokens: Array.from(room.apiTokens.values()),
+      webhooks: Array.from(room.webhooks.values()),
+      blocklist: room.blocklist,
+      emptySince: room.emptySince,
+    }));
+  }
+
+  /**
+   * Rebuild rooms from a snapshot produced by `snapshot()`.
+   * Restored users start in the resume grace period; rooms without users
+   * pick up their remaining empty-room TTL.
+   *
+   * @param {object[]} snapshots
+   */
+  restore(snapshots) {
+    for (const snap of snapshots) {
+      if (!snap || !snap.id || this.rooms.has(snap.id)) continue;
+
+      const users = Array.isArray(snap.users) ? snap.users : [];
+      const emptySince = users.length === 0 ? snap.emptySince || null : null;
+      if (
+        emptySince &&
+        this.emptyRoomTtlMs > 0 &&
+        emptySince + this.emptyRoomTtlMs <= Date.now()
+      ) {
+        continue; // expired while the server was down
+      }
+
+      const elapsed = Number(snap.elapsed) || 0;
+      const room = {
+        id: snap.id,
+        name: snap.name,
+        createdAt: snap.createdAt || Date.now(),
+        hostId: snap.hostId || null,
+        queue: Array.isArray(snap.queue) ? snap.queue.map(normalizeMedia) : [],
+        currentIndex: snap.currentIndex ?? -1,
+        playbackState: snap.playbackState === "playing" ? "playing" : "paused",
+        startedAt: Date.now() - elapsed * 1000,
+        elapsed,
+        users: new Map(users.map((u) => [u.id, u])),
+        sessions: new Map(Array.isArray(snap.sessions) ? snap.sessions : []),
+        skipVotes: new Set(),
+        trackReports: null,
+        crossfadeDuration: snap.crossfadeDuration ?? 3,
+        repeat: REPEAT_MODES.includes(snap.repeat) ? snap.repeat : "off",
+        shuffle: Boolean(snap.shuffle),
+        shuffleOrder: Array.isArray(snap.shuffleOrder) ? snap.shuffleOrder : [],
+        settings: { ...DEFAULT_SETTINGS, ...snap.settings },
+        roles: new Map(Array.isArray(snap.roles) ? snap.roles : []),
+        password: snap.password || null,
+        locked: Boolean(snap.locked),
+        bannedTokens: new Set(snap.bannedTokens || []),
+        bannedIps: new Set(snap.bannedIps || []),
+        kicks: new Map(Array.isArray(snap.kicks) ? snap.kicks : []),
+        // so a `byIp` ban right after a restart still knows the address
+        ips: new Map(Array.isArray(snap.ips) ? snap.ips : []),
+        history: Array.isArray(snap.history)
+          ? snap.history.slice(-HISTORY_LIMIT).map(normalizeMedia)
+          : [],
+        chat: Array.isArray(snap.chat) ? snap.chat.slice(-CHAT_LIMIT) : [],
+        apiTokens: new Map(
+          (Array.isArray(snap.apiTokens) ? snap.apiTokens : []).map((t) => [
+            t.id,
+            t,
+          ]),
+        ),
+        webhooks: new Map(
+          (Array.isArray(snap.webhooks) ? snap.webhooks : []).map((h) => [
+            h.id,
+            h,
+          ]),
+        ),
+        blocklist: Array.isArray(snap.blocklist)
+          ? snap.blocklist.map((e) =>
+              e.kind === "video" && !e.provider
+                ? { ...e, provider: "youtube" }
+                : e,
+            )
+          : [],
+        emptySince,
+      };
+
+      this.rooms.set(room.id, room);
+      this._claimRoom(room);
+      for (const tokenId of room.apiTokens.keys()) {
+        this.apiActors.set(tokenId, room.id);
+      }
+      this._scheduleTrackEnd(room);
+
+      for (const userId of room.users.keys()) {
+        this._startGrace(room.id, userId);
+      }
+
+      if (emptySince && this.emptyRoomTtlMs > 0) {
+        this._scheduleRoomExpiry(room);
+      }
+    }
   }
 
   // ─── Queue Management ─────────────────────────────────────────────────────
@@ -172,131 +823,299 @@ export class RoomManager {
    * Add a resolved track to the room queue.
    *
    * @param {string} userId
-   * @param {{ youtubeId: string, title: string, thumbnail: string }} trackData
+   * @param {{ provider: string, mediaId: string, title: string, thumbnail: string }} trackData
+   * @returns {object} the new track
    */
   addTrack(userId, trackData) {
-    const conn = this.connections.get(userId);
-    if (!conn) return;
-
-    const room = this.rooms.get(conn.roomId);
-    if (!room) return;
-
-    const user = room.users.get(userId);
+    return this.addTracks(userId, [trackData])[0];
+  }
 
-    const track = {
-      id: nanoid(8),
-      youtubeId: trackData.youtubeId,
-      title: trackData.title,
-      thumbnail: trackData.thumbnail,
-      duration: 0,
-      addedBy: userId,
-      addedByName: user ? user.name : "Unknown",
-    };
+  /**
+   * Append resolved tracks to the room queue in one step, with a single
+   * `queue:updated` broadcast (used by bulk import).
+   *
+   * @param {string} userId
+   * @param {Array<{ provider: string, mediaId: string, title: string, thumbnail: string }>} tracksData
+   * @returns {object[]} the new tracks
+   */
+  addTracks(userId, tracksData) {
+    const room = this._requireRoom(userId);
+    this._requirePermission(room, userId, "add");
+    if (tracksData.length === 0) return [];
+    if (tracksData.length > this.queueAllowance(userId)) {
+      throw new ProtocolError(
+        ErrorCode.QUEUE_LIMIT,
+        `You can have at most ${room.settings.maxPendingPerUser} tracks waiting in the queue`,
+      );
+    }
 
-    room.queue.push(track);
+    const addedByName = this._nameOf(room, userId);
+
+    const tracks = tracksData.map((trackData) =>
+      normalizeMedia({
+        id: nanoid(8),
+        provider: trackData.provider,
+        mediaId: trackData.mediaId,
+        title: trackData.title,
+        thumbnail: trackData.thumbnail,
+        duration: 0,
+        addedBy: userId,
+        addedByName,
+      }),
+    );
+    room.queue.push(...tracks);
+    if (room.shuffle) {
+      for (const track of tracks) {
+        const at = Math.floor(Math.random() * (room.shuffleOrder.length + 1));
+        room.shuffleOrder.splice(at, 0, track.id);
+      }
+    }
 
     // If nothing is currently playing, auto-start
     if (room.currentIndex === -1) {
-      room.currentIndex = 0;
+      room.currentIndex = this._nextIndex(room, "finished");
+      this._consumeShuffle(room);
       room.elapsed = 0;
       room.startedAt = Date.now();
       room.playbackState = "playing";
+      this._historyStart(room);
     }
+    this._applyFairOrder(room);
 
-    this.broadcastToRoom(conn.roomId, {
-      type: "queue:updated",
-      queue: room.queue,
-      currentIndex: room.currentIndex,
-    });
+    this._broadcastQueue(room);
+
+    this._scheduleTrackEnd(room);
+    this.broadcastPlaybackSync(room.id);
+    metrics.queueAdds.inc({}, tracks.length);
+    return tracks;
+  }
 
-    this.broadcastPlaybackSync(conn.roomId);
+  /**
+   * How many more tracks a user may queue under `maxPendingPerUser`.
+   * The host and co-hosts aren't limited.
+   *
+   * @param {string} userId
+   * @returns {number} Infinity when there is no limit
+   */
+  queueAllowance(userId) {
+    const room = this._requireRoom(userId);
+    const max = room.settings.maxPendingPerUser;
+    if (!(max > 0) || this._hasRole(room, userId, "cohost")) return Infinity;
+
+    const pending = this.upcomingTracks(room).filter(
+      (t) => t.addedBy === userId,
+    ).length;
+    return Math.max(0, max - pending);
   }
 
   /**
    * Remove a track from the queue.
-   * Users can remove their own tracks; the host can remove any.
+   * Users can remove their own tracks; roles meeting `removeOthers` can
+   * remove any.
    *
    * @param {string} userId
    * @param {string} trackId
    */
   removeTrack(userId, trackId) {
-    const conn = this.connections.get(userId);
-    if (!conn) return;
-
-    const room = this.rooms.get(conn.roomId);
-    if (!room) return;
-
-    const trackIndex = room.queue.findIndex((t) => t.id === trackId);
-    if (trackIndex === -1) return;
-
-    const track = room.queue[trackIndex];
-    const isHost = room.hostId === userId;
-    const isOwner = track.addedBy === userId;
-
-    if (!isHost && !isOwner) return;
+    const room = this._requireRoom(userId);
+    const trackIndex = this._requireEditableTrack(room, userId, trackId);
+    this._removeTrackAt(room, trackIndex);
+  }
 
+  /**
+   * Take a track out of the queue, moving on if it was playing.
+   * @param {object} room
+   * @param {number} trackIndex
+   */
+  _removeTrackAt(room, trackIndex) {
+    const trackId = room.queue[trackIndex].id;
+    const removingCurrent = trackIndex === room.currentIndex;
+    let next = null;
+    if (removingCurrent) {
+      this._historyEnd(room, "removed");
+      next = room.queue[this._nextIndex(room, "removed")];
+    }
     room.queue.splice(trackIndex, 1);
 
     // Adjust currentIndex if needed
     if (trackIndex < room.currentIndex) {
       room.currentIndex--;
-    } else if (trackIndex === room.currentIndex) {
+    } else if (removingCurrent) {
       // Playing track was removed — advance to next
       if (room.queue.length === 0) {
         room.currentIndex = -1;
         room.playbackState = "paused";
         room.elapsed = 0;
-      } else if (room.currentIndex >= room.queue.length) {
-        room.currentIndex = room.queue.length - 1;
-        room.startedAt = Date.now();
-        room.elapsed = 0;
-        room.playbackState = "playing";
       } else {
+        // The mode's next track, else whatever now sits at this position
+        room.currentIndex =
+          next && next.id !== trackId
+            ? room.queue.indexOf(next)
+            : Math.min(room.currentIndex, room.queue.length - 1);
         room.startedAt = Date.now();
         room.elapsed = 0;
         room.playbackState = "playing";
+        this._consumeShuffle(room);
       }
       room.skipVotes.clear();
+      this._historyStart(room);
     }
+    this._applyFairOrder(room);
 
-    this.broadcastToRoom(conn.roomId, {
-      type: "queue:updated",
-      queue: room.queue,
-      currentIndex: room.currentIndex,
-    });
+    this._broadcastQueue(room);
 
-    this.broadcastPlaybackSync(conn.roomId);
+    this._scheduleTrackEnd(room);
+    this.broadcastPlaybackSync(room.id);
+    if (removingCurrent) this._enforceMaxLength(room);
   }
 
-  // ─── Playback Controls ────────────────────────────────────────────────────
-
   /**
-   * Resume playback.
+   * Move a track to a new position in the queue.
+   * Same permissions as removeTrack; the playing track keeps playing.
+   *
    * @param {string} userId
+   * @param {string} trackId
+   * @param {number} toIndex
    */
-  play(userId) {
-    const room = this._roomForUser(userId);
-    if (!room || room.currentIndex === -1 || room.playbackState === "playing")
-      return;
-
-    room.startedAt = Date.now() - room.elapsed * 1000;
-    room.playbackState = "playing";
+  moveTrack(userId, trackId, toIndex) {
+    const room = this._requireRoom(userId);
+    const fromIndex = this._requireEditableTrack(room, userId, trackId);
+    this._requireManualOrder(room);
+
+    const target = Math.max(
+      0,
+      Math.min(room.queue.length - 1, Math.floor(Number(toIndex))),
+    );
+    if (!Number.isFinite(target) || target === fromIndex) return;
+
+    this._reorder(room, () => {
+      const [track] = room.queue.splice(fromIndex, 1);
+      room.queue.splice(target, 0, track);
+    });
 
-    this.broadcastPlaybackSync(room.id);
+    this._broadcastQueue(room);
   }
 
   /**
-   * Pause playback.
+   * Move a track to play right after the current one.
+   *
    * @param {string} userId
+   * @param {string} trackId
    */
-  pause(userId) {
-    const room = this._roomForUser(userId);
-    if (!room || room.playbackState === "paused") return;
+  playNext(userId, trackId) {
+    const room = this._requireRoom(userId);
+    const fromIndex = this._requireEditableTrack(room, userId, trackId);
+    this._requireManualOrder(room);
+    if (fromIndex === room.currentIndex) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_STATE,
+        "That track is already playing",
+      );
+    }
 
-    room.elapsed = (Date.now() - room.startedAt) / 1000;
-    room.playbackState = "paused";
+    this._reorder(room, () => {
+      const [track] = room.queue.splice(fromIndex, 1);
+      const current = room.queue[room.currentIndex];
+      const insertAt = current ? room.queue.indexOf(current) + 1 : 0;
+      room.queue.splice(insertAt, 0, track);
+    });
+    if (room.shuffle) {
+      room.shuffleOrder = [
+        trackId,
+        ...room.shuffleOrder.filter((id) => id !== trackId),
+      ];
+    }
 
-    this.broadcastPlaybackSync(room.id);
+    this._broadcastQueue(room);
+  }
+
+  /**
+   * Clear the upcoming tracks (see `upcomingTracks`, so shuffle and
+   * repeat-all are taken into account). Roles meeting `removeOthers` clear
+   * everyone's tracks; other users clear only their own.
+   *
+   * @param {string} userId
+   */
+  clearQueue(userId) {
+    const room = this._requireRoom(userId);
+
+    const removed = new Set(
+      this.upcomingTracks(room).filter((t) =>
+        this._canEditTrack(room, userId, t),
+      ),
+    );
+    if (removed.size === 0) return;
+
+    this._reorder(room, () => {
+      const kept = room.queue.filter((t) => !removed.has(t));
+      room.queue.splice(0, room.queue.length, ...kept);
+    });
+    this._applyFairOrder(room);
+
+    this._broadcastQueue(room);
+  }
+
+  /**
+   * Start playing a specific track right away.
+   * Same permissions as removeTrack.
+   *
+   * @param {string} userId
+   * @param {string} trackId
+   */
+  jumpTo(userId, trackId) {
+    const room = this._requireRoom(userId);
+    const index = this._requireEditableTrack(room, userId, trackId);
+
+    this._historyEnd(room, "jumped");
+    room.currentIndex = index;
+    this._consumeShuffle(room);
+    room.elapsed = 0;
+    room.startedAt = Date.now();
+    room.playbackState = "playing";
+    room.skipVotes.clear();
+    this._historyStart(room);
+    this._applyFairOrder(room);
+
+    this._broadcastQueue(room);
+
+    this._scheduleTrackEnd(room);
+    this.broadcastPlaybackSync(room.id);
+    this._enforceMaxLength(room);
+  }
+
+  // ─── Playback Controls ────────────────────────────────────────────────────
+
+  /**
+   * Resume playback.
+   * @param {string} userId
+   */
+  play(userId) {
+    const room = this._requireRoom(userId);
+    this._requirePermission(room, userId, "pause");
+    this._requireCurrentTrack(room);
+    if (room.playbackState === "playing") return;
+
+    room.startedAt = Date.now() - room.elapsed * 1000;
+    room.playbackState = "playing";
+
+    this._scheduleTrackEnd(room);
+    this.broadcastPlaybackSync(room.id);
+  }
+
+  /**
+   * Pause playback.
+   * @param {string} userId
+   */
+  pause(userId) {
+    const room = this._requireRoom(userId);
+    this._requirePermission(room, userId, "pause");
+    if (room.playbackState === "paused") return;
+
+    room.elapsed = (Date.now() - room.startedAt) / 1000;
+    room.playbackState = "paused";
+
+    this._scheduleTrackEnd(room);
+    this.broadcastPlaybackSync(room.id);
   }
 
   /**
@@ -304,13 +1123,42 @@ export class RoomManager {
    * @param {string} userId
    */
   skip(userId) {
-    const room = this._roomForUser(userId);
-    if (!room || room.currentIndex === -1) return;
+    const room = this._requireRoom(userId);
+    this._requireCurrentTrack(room);
 
     room.skipVotes.add(userId);
+    this._tallySkipVotes(room);
+  }
+
+  /**
+   * Skip votes that count, and how many are needed: a majority of the
+   * connected members. Members in their resume grace don't count either
+   * way; an API token that voted counts as one more member.
+   *
+   * @param {object} room
+   * @returns {{ current: number, needed: number }}
+   */
+  skipTally(room) {
+    let current = 0;
+    let tokens = 0;
+    for (const id of room.skipVotes) {
+      if (this.connections.has(id)) {
+        current++;
+      } else if (this.apiActors.has(id)) {
+        current++;
+        tokens++;
+      }
+    }
+    const members = this._connectedCount(room) + tokens;
+    return { current, needed: Math.max(1, Math.ceil(members / 2)) };
+  }
 
-    const needed = Math.ceil(room.users.size / 2);
-    const current = room.skipVotes.size;
+  /**
+   * Broadcast the skip tally and skip once it reaches a majority.
+   * @param {object} room
+   */
+  _tallySkipVotes(room) {
+    const { current, needed } = this.skipTally(room);
 
     this.broadcastToRoom(room.id, {
       type: "skip:votes",
@@ -319,18 +1167,29 @@ export class RoomManager {
     });
 
     if (current >= needed) {
-      this.nextTrack(room.id);
+      this.nextTrack(room.id, "skipped");
     }
   }
 
+  /**
+   * Re-tally open skip votes after the members changed, since a departure
+   * can lower the majority below the votes already cast.
+   * @param {object} [room]
+   */
+  _recountSkipVotes(room) {
+    if (!room || room.skipVotes.size === 0 || room.currentIndex === -1) return;
+    this._tallySkipVotes(room);
+  }
+
   /**
    * Seek to a specific position.
    * @param {string} userId
    * @param {number} time - seconds
    */
   seek(userId, time) {
-    const room = this._roomForUser(userId);
-    if (!room || room.currentIndex === -1) return;
+    const room = this._requireRoom(userId);
+    this._requirePermission(room, userId, "seek");
+    this._requireCurrentTrack(room);
 
     const seekTime = Math.max(0, Number(time) || 0);
 
@@ -340,75 +1199,288 @@ export class RoomManager {
       room.elapsed = seekTime;
     }
 
+    this._scheduleTrackEnd(room);
     this.broadcastPlaybackSync(room.id);
   }
 
   /**
-   * Advance to the next track (internal or called by skip votes).
+   * Advance to the next track (internal or called by skip votes), following
+   * the room's shuffle and repeat modes.
    * @param {string} roomId
+   * @param {"finished"|"skipped"} [outcome] - recorded in the play history
    */
-  nextTrack(roomId) {
+  nextTrack(roomId, outcome = "finished") {
     const room = this.rooms.get(roomId);
     if (!room) return;
 
+    this._historyEnd(room, outcome);
     room.skipVotes.clear();
+    if (outcome === "skipped") metrics.skips.inc();
 
-    if (room.queue.length === 0) {
-      room.currentIndex = -1;
-      room.playbackState = "paused";
-      room.elapsed = 0;
-    } else if (room.currentIndex < room.queue.length - 1) {
-      room.currentIndex++;
+    const index = this._nextIndex(room, outcome);
+    if (index !== -1) {
+      room.currentIndex = index;
+      this._consumeShuffle(room);
       room.elapsed = 0;
       room.startedAt = Date.now();
       room.playbackState = "playing";
+      this._historyStart(room);
     } else {
-      // End of queue
+      // End of queue (or an empty one)
       room.currentIndex = -1;
       room.playbackState = "paused";
       room.elapsed = 0;
     }
+    this._applyFairOrder(room);
 
-    this.broadcastToRoom(roomId, {
-      type: "queue:updated",
-      queue: room.queue,
-      currentIndex: room.currentIndex,
-    });
+    this._broadcastQueue(room);
 
+    this._scheduleTrackEnd(room);
     this.broadcastPlaybackSync(roomId);
+    this._enforceMaxLength(room);
   }
 
-  // ─── Chat ────────────────────────────────────────────────────────────────
+  /**
+   * Record the playing track's duration as reported by a client's player.
+   * The first plausible report wins; it (re)arms the end-of-track timer.
+   * Reports for any other track, or shorter than what has already played,
+   * are ignored: they would end (or skip) a track without a vote. With
+   * other members connected, a second one has to agree (`_corroborated`).
+   * A track over the room's `maxTrackLength` is removed instead (see
+   * `_enforceMaxLength`).
+   *
+   * @param {string} userId
+   * @param {string} trackId
+   * @param {number} duration - seconds
+   */
+  setTrackDuration(userId, trackId, duration) {
+    const room = this._roomForUser(userId);
+    if (!room) return;
+
+    const track = room.queue[room.currentIndex];
+    const seconds = Number(duration);
+    if (!track || track.id !== trackId || track.duration > 0) return;
+    if (!Number.isFinite(seconds) || seconds <= 0 || seconds > 86_400) return;
+
+    const elapsed =
+      room.playbackState === "playing"
+        ? (Date.now() - room.startedAt) / 1000
+        : room.elapsed;
+    if (seconds < elapsed) return;
+    if (!this._corroborated(room, userId, "duration", seconds)) return;
+
+    track.duration = Math.round(seconds * 10) / 10;
+    if (this._enforceMaxLength(room)) return;
+
+    this._broadcastQueue(room);
+    this._scheduleTrackEnd(room);
+    this._feed(room, { type: "now-playing", ...this._feedNowPlaying(room) });
+  }
+
+  /**
+   * Remove the playing track if its checked duration is over the room's
+   * `maxTrackLength`. Runs when the duration is first accepted, whenever a
+   * track becomes current (a replay or jump to one whose duration is known)
+   * and when the limit changes. Only ever the playing track: queued tracks
+   * (audio files especially) have no duration the server can trust until
+   * they play, so they are never removed on a client's say-so.
+   *
+   * @param {object} room
+   * @returns {boolean} whether the track was removed
+   */
+  _enforceMaxLength(room) {
+    const track = room.queue[room.currentIndex];
+    const limit = room.settings.maxTrackLength;
+    if (!track || limit <= 0 || !(track.duration > limit)) return false;
+
+    this.broadcastToRoom(room.id, {
+      type: "chat:system",
+      text: `Removed “${track.title}”: it's longer than the ${formatMinutes(limit)} limit`,
+      timestamp: Date.now(),
+    });
+    this._removeTrackAt(room, room.currentIndex);
+    return true;
+  }
+
+  /**
+   * A duration already accepted for this media in this room (a queued copy
+   * or a play history entry), else 0.
+   *
+   * @param {object} room
+   * @param {string} key - `mediaKey` of the track
+   * @returns {number} seconds
+   */
+  _knownDuration(room, key) {
+    const known =
+      room.queue.find((t) => t.duration > 0 && mediaKey(t) === key) ??
+      room.history.findLast((e) => e.duration > 0 && mediaKey(e) === key);
+    return known?.duration ?? 0;
+  }
 
   /**
-   * Broadcast a chat message from a user.
+   * A client's player reached the end of a track.
+   * Only a fallback for when the server's own timer can't fire (unknown
+   * duration); ignored for stale tracks or reports that come too early.
+   * With the duration unknown, a second member has to report it too.
+   *
    * @param {string} userId
-   * @param {string} text
+   * @param {string} trackId
    */
-  chat(userId, text) {
-    const conn = this.connections.get(userId);
-    if (!conn) return;
+  trackEnded(userId, trackId) {
+    const room = this._roomForUser(userId);
+    if (!room || room.currentIndex === -1) return;
 
-    const room = this.rooms.get(conn.roomId);
-    if (!room) return;
+    const track = room.queue[room.currentIndex];
+    if (!track || track.id !== trackId || room.playbackState !== "playing")
+      return;
+
+    const elapsed = (Date.now() - room.startedAt) / 1000;
+    if (track.duration > 0 && elapsed < track.duration - ENDED_TOLERANCE_S)
+      return;
+    if (track.duration <= 0 && !this._corroborated(room, userId, "ended")) {
+      return;
+    }
+
+    this.nextTrack(room.id);
+  }
+
+  /**
+   * Shuffle the upcoming tracks: their queue positions, or in shuffle mode
+   * a fresh shuffle order. Needs the `removeOthers` permission, since it
+   * moves everyone's tracks.
+   *
+   * @param {string} userId
+   * @returns {boolean} false when there was nothing to shuffle
+   */
+  shuffleQueue(userId) {
+    const room = this._requireRoom(userId);
+    this._requirePermission(room, userId, "removeOthers");
+    this._requireManualOrder(room);
+
+    const upcoming = this.upcomingTracks(room);
+    if (upcoming.length < 2) return false;
 
+    this._setUpcomingOrder(room, upcoming, shuffled(upcoming));
+
+    this._broadcastQueue(room);
+    return true;
+  }
+
+  // ─── Chat ────────────────────────────────────────────────────────────────
+
+  /**
+   * Broadcast a chat message from a user and keep it in the room's backlog.
+   * `@name` mentions of users in the room are listed in `mentions`.
+   *
+   * @param {string} userId
+   * @param {string} text
+   * @param {{ emote?: boolean }} [options] - `emote` for /me actions
+   */
+  chat(userId, text, options = {}) {
+    const room = this._requireRoom(userId);
     const user = room.users.get(userId);
-    if (!user) return;
 
     const sanitized = String(text || "")
       .trim()
       .slice(0, 500);
-    if (!sanitized) return;
+    if (!sanitized) {
+      throw new ProtocolError(ErrorCode.BAD_REQUEST, "Message is empty");
+    }
 
-    this.broadcastToRoom(conn.roomId, {
-      type: "chat:message",
+    const message = {
+      id: nanoid(8),
       userId,
       userName: user.name,
       text: sanitized,
       timestamp: Date.now(),
+      mentions: this._mentionsIn(room, sanitized),
+      reactions: {},
+    };
+    if (options.emote) message.emote = true;
+
+    room.chat.push(message);
+    if (room.chat.length > CHAT_LIMIT) {
+      room.chat.splice(0, room.chat.length - CHAT_LIMIT);
+    }
+
+    this.broadcastToRoom(room.id, { type: "chat:message", ...message });
+    const { reactions, ...data } = message;
+    this._emit(room, "chat.message", data);
+  }
+
+  /**
+   * Toggle the user's reaction to a chat message.
+   *
+   * @param {string} userId
+   * @param {string} messageId
+   * @param {string} emoji - a single emoji
+   * @throws {ProtocolError} NOT_FOUND or BAD_REQUEST
+   */
+  reactToChat(userId, messageId, emoji) {
+    const room = this._requireRoom(userId);
+    const message = this._requireChatMessage(room, messageId);
+    if (!REACTION_PATTERN.test(emoji)) {
+      throw new ProtocolError(ErrorCode.BAD_REQUEST, "Not an emoji");
+    }
+
+    const users = message.reactions[emoji] ?? [];
+    if (users.includes(userId)) {
+      users.splice(users.indexOf(userId), 1);
+      if (users.length === 0) delete message.reactions[emoji];
+    } else {
+      if (users.length === 0) {
+        if (Object.keys(message.reactions).length >= MAX_REACTIONS) {
+          throw new ProtocolError(
+            ErrorCode.BAD_REQUEST,
+            `A message can have at most ${MAX_REACTIONS} different reactions`,
+          );
+        }
+        message.reactions[emoji] = users;
+      }
+      users.push(userId);
+    }
+
+    this.broadcastToRoom(room.id, {
+      type: "chat:reactions",
+      messageId,
+      reactions: message.reactions,
     });
   }
 
+  /**
+   * Remove a chat message for everyone (host only).
+   * @param {string} userId
+   * @param {string} messageId
+   */
+  deleteChatMessage(userId, messageId) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "delete messages");
+    const message = this._requireChatMessage(room, messageId);
+
+    room.chat.splice(room.chat.indexOf(message), 1);
+    this.broadcastToRoom(room.id, { type: "chat:deleted", messageId });
+  }
+
+  /**
+   * A system line in the chat of a user's room (e.g. a chat command's
+   * effect), or only for that user with `private`.
+   *
+   * @param {string} userId
+   * @param {string} text
+   * @param {{ private?: boolean }} [options]
+   */
+  systemMessage(userId, text, options = {}) {
+    const room = this._requireRoom(userId);
+    const message = { type: "chat:system", text, timestamp: Date.now() };
+
+    if (options.private) {
+      const conn = this.connections.get(userId);
+      if (conn) this.sendTo(conn.ws, { ...message, private: true });
+    } else {
+      this.broadcastToRoom(room.id, message);
+    }
+  }
+
   // ─── Crossfade ───────────────────────────────────────────────────────────
 
   /**
@@ -417,108 +1489,1529 @@ export class RoomManager {
    * @param {number} duration - seconds (0–8)
    */
   setCrossfade(userId, duration) {
-    const conn = this.connections.get(userId);
-    if (!conn) return;
-
-    const room = this.rooms.get(conn.roomId);
-    if (!room) return;
+    const room = this._requireRoom(userId);
+    this._requirePermission(room, userId, "crossfade");
 
     const clamped = Math.max(0, Math.min(8, Number(duration) || 0));
     room.crossfadeDuration = clamped;
 
-    this.broadcastToRoom(conn.roomId, {
+    this.broadcastToRoom(room.id, {
       type: "crossfade:updated",
       duration: clamped,
     });
   }
 
-  // ─── Internal Helpers ─────────────────────────────────────────────────────
+  // ─── Playback Modes ──────────────────────────────────────────────────────
 
   /**
-   * Get the room for a given userId.
+   * Change the room's repeat and/or shuffle mode. Turning shuffle on draws
+   * a random order for the tracks after the current one; tracks already
+   * played stay played.
+   *
    * @param {string} userId
-   * @returns {object|null}
+   * @param {{ repeat?: "off"|"one"|"all", shuffle?: boolean }} mode
    */
-  _roomForUser(userId) {
-    const conn = this.connections.get(userId);
-    if (!conn) return null;
-    return this.rooms.get(conn.roomId) || null;
+  setMode(userId, { repeat, shuffle }) {
+    const room = this._requireRoom(userId);
+    this._requirePermission(room, userId, "mode");
+    if (repeat !== undefined && !REPEAT_MODES.includes(repeat)) {
+      throw new ProtocolError(
+        ErrorCode.BAD_REQUEST,
+        `repeat must be one of ${REPEAT_MODES.join(", ")}`,
+      );
+    }
+
+    let changed = false;
+    if (repeat !== undefined && repeat !== room.repeat) {
+      room.repeat = repeat;
+      changed = true;
+    }
+    if (shuffle !== undefined && shuffle !== room.shuffle) {
+      room.shuffle = shuffle;
+      room.shuffleOrder = shuffle
+        ? shuffled(room.queue.slice(room.currentIndex + 1).map((t) => t.id))
+        : [];
+      this._applyFairOrder(room);
+      changed = true;
+    }
+    if (!changed) return;
+
+    this.broadcastToRoom(room.id, {
+      type: "mode:updated",
+      repeat: room.repeat,
+      shuffle: room.shuffle,
+      nextIndex: this._nextIndex(room, "finished"),
+    });
   }
 
   /**
-   * Send a JSON message to a single WebSocket.
-   * Automatically removes disconnected users on send failure.
+   * Queue index of the track that follows the current one, or -1 when
+   * playback should stop. Repeat-one only replays a track that finished;
+   * skipping still moves on. In shuffle mode this is the head of
+   * `shuffleOrder` (dropping IDs of removed tracks, and drawing a new order
+   * once it runs out under repeat-all), so asking twice gives the same answer.
    *
-   * @param {any} ws
-   * @param {object} payload
+   * @param {object} room
+   * @param {string} outcome - why the current track is ending
+   * @returns {number}
    */
-  sendTo(ws, payload) {
-    try {
-      ws.send(JSON.stringify(payload));
-    } catch {
-      // Clean up broken connection
-      const userId = this.wsToUser.get(ws);
-      if (userId) this.leaveRoom(userId);
+  _nextIndex(room, outcome) {
+    if (room.queue.length === 0) return -1;
+
+    const current = room.queue[room.currentIndex];
+    if (room.repeat === "one" && outcome === "finished" && current) {
+      return room.currentIndex;
     }
+
+    if (!room.shuffle) {
+      if (room.currentIndex + 1 < room.queue.length) {
+        return room.currentIndex + 1;
+      }
+      return room.repeat === "all" ? 0 : -1;
+    }
+
+    this._refreshShuffleOrder(room);
+    const [nextId] = room.shuffleOrder;
+    return nextId ? room.queue.findIndex((t) => t.id === nextId) : -1;
   }
 
   /**
-   * Broadcast a JSON message to all users in a room, optionally excluding one.
-   *
-   * @param {string} roomId
-   * @param {object} payload
-   * @param {any} [excludeWs] - WebSocket to exclude from the broadcast
+   * Drop removed tracks and the current one from `shuffleOrder`, and draw
+   * a new order once it runs out under repeat-all.
+   * @param {object} room
    */
-  broadcastToRoom(roomId, payload, excludeWs = null) {
-    const room = this.rooms.get(roomId);
-    if (!room) return;
-
-    for (const [userId] of room.users) {
-      const conn = this.connections.get(userId);
-      if (!conn || conn.ws === excludeWs) continue;
-      this.sendTo(conn.ws, payload);
+  _refreshShuffleOrder(room) {
+    const current = room.queue[room.currentIndex];
+    const ids = new Set(room.queue.map((t) => t.id));
+    room.shuffleOrder = room.shuffleOrder.filter(
+      (id) => ids.has(id) && id !== current?.id,
+    );
+    if (room.shuffleOrder.length === 0 && room.repeat === "all") {
+      const others = room.queue.filter((t) => t !== current);
+      room.shuffleOrder = shuffled(
+        (others.length > 0 ? others : room.queue).map((t) => t.id),
+      );
     }
   }
 
   /**
-   * Broadcast a playback:sync message to all users in a room.
-   * Computes elapsed from the current timestamp if playing.
-   *
-   * @param {string} roomId
+   * Take the track that just became current out of the shuffle order.
+   * @param {object} room
    */
-  broadcastPlaybackSync(roomId) {
-    const room = this.rooms.get(roomId);
-    if (!room) return;
-
-    const elapsed =
-      room.playbackState === "playing"
-        ? (Date.now() - room.startedAt) / 1000
-        : room.elapsed;
-
-    const currentTrack =
-      room.currentIndex >= 0 ? room.queue[room.currentIndex] : null;
+  _consumeShuffle(room) {
+    const current = room.queue[room.currentIndex];
+    if (!room.shuffle || !current) return;
+    room.shuffleOrder = room.shuffleOrder.filter((id) => id !== current.id);
+  }
 
-    this.broadcastToRoom(roomId, {
-      type: "playback:sync",
-      state: room.playbackState,
-      currentIndex: room.currentIndex,
-      elapsed,
-      timestamp: Date.now(),
-      youtubeId: currentTrack ? currentTrack.youtubeId : null,
-    });
+  /**
+   * The tracks still to play, in the order `_nextIndex` will pick them: the
+   * shuffle order in shuffle mode, else the tracks after the current one,
+   * followed under repeat-all by the ones before it.
+   *
+   * @param {object} room
+   * @returns {object[]}
+   */
+  upcomingTracks(room) {
+    if (room.shuffle) {
+      this._refreshShuffleOrder(room);
+      return room.shuffleOrder.map((id) => room.queue.find((t) => t.id === id));
+    }
+    const after = room.queue.slice(room.currentIndex + 1);
+    if (room.repeat !== "all") return after;
+    return [...after, ...room.queue.slice(0, Math.max(0, room.currentIndex))];
   }
 
   /**
-   * Serialize a room for JSON transmission (converts Maps/Sets to plain objects).
+   * Put the upcoming tracks in a new play order: as the shuffle order in
+   * shuffle mode, else by swapping them between their own queue positions
+   * (the current track stays where it is).
    *
    * @param {object} room
-   * @returns {object}
+   * @param {object[]} upcoming - `upcomingTracks(room)`
+   * @param {object[]} ordered - the same tracks in the new order
    */
-  serializeRoom(room) {
-    const elapsed =
-      room.playbackState === "playing"
-        ? (Date.now() - room.startedAt) / 1000
+  _setUpcomingOrder(room, upcoming, ordered) {
+    if (room.shuffle) {
+      room.shuffleOrder = ordered.map((t) => t.id);
+      return;
+    }
+    const slots = upcoming.map((t) => room.queue.indexOf(t));
+    slots.forEach((slot, i) => {
+      room.queue[slot] = ordered[i];
+    });
+  }
+
+  // ─── Play History ─────────────────────────────────────────────────────────
+
+  /**
+   * Open a history entry for the track that just became current.
+   * @param {object} room
+   */
+  _historyStart(room) {
+    const track = room.queue[room.currentIndex];
+    if (!track) return;
+
+    const entry = {
+      id: nanoid(8),
+      trackId: track.id,
+      provider: track.provider,
+      mediaId: track.mediaId,
+      youtubeId: track.youtubeId,
+      title: track.title,
+      thumbnail: track.thumbnail,
+      duration: track.duration,
+      addedBy: track.addedBy,
+      addedByName: track.addedByName,
+      startedAt: Date.now(),
+      endedAt: null,
+      outcome: null, // "finished" | "skipped" | "jumped" | "removed"
+      skipVotes: 0,
+      skipNeeded: 0,
+    };
+
+    room.history.push(entry);
+    if (room.history.length > HISTORY_LIMIT) {
+      room.history.splice(0, room.history.length - HISTORY_LIMIT);
+    }
+
+    this.broadcastToRoom(room.id, { type: "history:entry", entry });
+    this._emit(room, "track.started", { entry });
+  }
+
+  /**
+   * Close the open history entry, if any. Call before the current track
+   * changes and before skip votes are cleared.
+   *
+   * @param {object} room
+   * @param {"finished"|"skipped"|"jumped"|"removed"} outcome
+   */
+  _historyEnd(room, outcome) {
+    const entry = room.history[room.history.length - 1];
+    if (!entry || entry.endedAt) return;
+
+    const track = room.queue.find((t) => t.id === entry.trackId);
+    if (track) entry.duration = track.duration;
+    entry.endedAt = Date.now();
+    entry.outcome = outcome;
+    const tally = this.skipTally(room);
+    entry.skipVotes = tally.current;
+    entry.skipNeeded = tally.needed;
+
+    this.broadcastToRoom(room.id, { type: "history:entry", entry });
+    if (outcome === "skipped") this._emit(room, "track.skipped", { entry });
+  }
+
+  // ─── Moderation ───────────────────────────────────────────────────────────
+
+  /**
+   * Remove a user from the room right away (no resume grace). Host only.
+   * Their resume tokens can't rejoin for `kickBlockMs`; a join without one
+   * still gets in as a new user.
+   *
+   * @param {string} userId - acting user (must be host)
+   * @param {string} targetId
+   */
+  kickUser(userId, targetId) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "kick users");
+    this._requireOtherUser(room, userId, targetId);
+
+    const until = Date.now() + this.kickBlockMs;
+    for (const [token, id] of room.sessions) {
+      if (id === targetId) room.kicks.set(token, until);
+    }
+
+    this._expel(room, targetId, "kicked");
+    log.info("user.kicked", { roomId: room.id, userId: targetId, by: userId });
+  }
+
+  /**
+   * Kick a user and block them from coming back: their resume tokens are
+   * banned, and with `byIp` their address too (which also refuses new joins
+   * from anyone sharing it). Host only.
+   *
+   * @param {string} userId - acting user (must be host)
+   * @param {string} targetId
+   * @param {boolean} [byIp]
+   */
+  banUser(userId, targetId, byIp = false) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "ban users");
+    this._requireOtherUser(room, userId, targetId);
+
+    for (const [token, id] of room.sessions) {
+      if (id === targetId) room.bannedTokens.add(token);
+    }
+    const ip = room.ips.get(targetId);
+    if (byIp && ip) room.bannedIps.add(ip);
+
+    this._expel(room, targetId, "banned");
+    log.info("user.banned", {
+      roomId: room.id,
+      userId: targetId,
+      by: userId,
+      byIp,
+    });
+  }
+
+  /**
+   * How long (ms) a join with this resume token is still blocked by a kick.
+   * Expired entries are dropped on the way.
+   *
+   * @param {object} room
+   * @param {string} [resumeToken]
+   * @returns {number}
+   */
+  _kickRemaining(room, resumeToken) {
+    const now = Date.now();
+    for (const [token, until] of room.kicks) {
+      if (until <= now) room.kicks.delete(token);
+    }
+    const until = (resumeToken && room.kicks.get(resumeToken)) || 0;
+    return Math.max(0, until - now);
+  }
+
+  /**
+   * Lock or unlock the room. A locked room accepts no new users; existing
+   * users can still resume. Host only.
+   *
+   * @param {string} userId
+   * @param {boolean} locked
+   */
+  setLocked(userId, locked) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "lock the room");
+
+    room.locked = Boolean(locked);
+
+    this.broadcastToRoom(room.id, {
+      type: "room:locked",
+      locked: room.locked,
+    });
+  }
+
+  /**
+   * Disconnect a user, tell them why, and remove them from the room.
+   *
+   * @param {object} room
+   * @param {string} targetId
+   * @param {"kicked"|"banned"} reason
+   */
+  _expel(room, targetId, reason) {
+    const pending = this.pendingLeaves.get(targetId);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pendingLeaves.delete(targetId);
+    }
+
+    const conn = this.connections.get(targetId);
+    if (conn) {
+      this.connections.delete(targetId);
+      this.wsToUser.delete(conn.ws);
+      this.sendTo(conn.ws, { type: "user:kicked", reason });
+      try {
+        conn.ws.close();
+      } catch {
+        // already closed
+      }
+    }
+
+    this._removeUser(room.id, targetId);
+  }
+
+  // ─── Now-Playing Feed ─────────────────────────────────────────────────────
+
+  /**
+   * Subscribe a socket-like sink (`send(string)`, `close()`) to a room's
+   * now-playing feed: `now-playing` and `queue` right away and on every
+   * change, `progress` on each heartbeat while playing, and `closed` when
+   * the room goes away. Watchers are not users: they don't show up in the
+   * room or count towards skip votes.
+   *
+   * @param {string} roomId
+   * @param {any} ws
+   * @param {string} [token] - an API token, required for password-protected rooms
+   * @throws {ProtocolError} ROOM_NOT_FOUND or UNAUTHORIZED
+   */
+  watchRoom(roomId, ws, token) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new ProtocolError(ErrorCode.ROOM_NOT_FOUND, "Room not found");
+    }
+    if (room.password && !(token && this.authenticateApiToken(roomId, token))) {
+      throw new ProtocolError(
+        ErrorCode.UNAUTHORIZED,
+        "This room needs an API token to watch",
+      );
+    }
+
+    let watchers = this.watchers.get(roomId);
+    if (!watchers) {
+      watchers = new Set();
+      this.watchers.set(roomId, watchers);
+    }
+    watchers.add(ws);
+
+    this.sendTo(ws, { type: "now-playing", ...this._feedNowPlaying(room) });
+    this.sendTo(ws, { type: "queue", ...this._feedQueue(room) });
+  }
+
+  /**
+   * @param {any} ws - a sink passed to `watchRoom`; ignored if unknown
+   */
+  unwatchRoom(ws) {
+    for (const [roomId, watchers] of this.watchers) {
+      if (!watchers.delete(ws)) continue;
+      if (watchers.size === 0) this.watchers.delete(roomId);
+      return;
+    }
+  }
+
+  /**
+   * Send a feed event to the room's watchers.
+   * @param {object} room
+   * @param {{ type: string }} payload
+   */
+  _feed(room, payload) {
+    const watchers = this.watchers.get(room.id);
+    if (!watchers) return;
+    for (const ws of watchers) this.sendTo(ws, payload);
+  }
+
+  /**
+   * @param {object} room
+   * @returns {object} `nowPlaying(room)` plus the server `timestamp` of `elapsed`
+   */
+  _feedNowPlaying(room) {
+    return { ...this.nowPlaying(room), timestamp: Date.now() };
+  }
+
+  /**
+   * The next tracks in play order (shuffle order in shuffle mode).
+   * @param {object} room
+   * @returns {{ upNext: object[], length: number }}
+   */
+  _feedQueue(room) {
+    return {
+      upNext: this.upcomingTracks(room).slice(0, FEED_UPCOMING),
+      length: room.queue.length,
+    };
+  }
+
+  /**
+   * Tell a room's watchers it is gone and close them.
+   * @param {object} room
+   * @param {string|null} reason
+   */
+  _closeWatchers(room, reason) {
+    const watchers = this.watchers.get(room.id);
+    if (!watchers) return;
+    this.watchers.delete(room.id);
+    for (const ws of watchers) {
+      this.sendTo(ws, { type: "closed", reason });
+      try {
+        ws.close();
+      } catch {
+        // already closed
+      }
+    }
+  }
+
+  // ─── Administration ───────────────────────────────────────────────────────
+
+  /**
+   * Every room on this instance, summarised for the admin API.
+   * @returns {object[]}
+   */
+  listRooms() {
+    return Array.from(this.rooms.values(), (room) => {
+      const connected = this._connectedCount(room);
+      return {
+        id: room.id,
+        name: room.name,
+        createdAt: room.createdAt,
+        userCount: room.users.size,
+        connectedCount: connected,
+        hasPassword: Boolean(room.password),
+        locked: room.locked,
+        playbackState: room.playbackState,
+        queueLength: room.queue.length,
+        nowPlaying:
+          room.currentIndex >= 0 ? room.queue[room.currentIndex] : null,
+        emptySince: room.emptySince || null,
+      };
+    });
+  }
+
+  /**
+   * Shut a room down from the admin API: every connected user gets
+   * `room:closed` and is disconnected, and the room is deleted right away
+   * (no resume grace, no empty-room TTL).
+   *
+   * @param {string} roomId
+   * @param {string} [reason] - shown to the users
+   * @returns {{ disconnected: number }}
+   * @throws {ProtocolError} ROOM_NOT_FOUND
+   */
+  closeRoom(roomId, reason) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new ProtocolError(ErrorCode.ROOM_NOT_FOUND, "Room not found");
+    }
+
+    const message = {
+      type: "room:closed",
+      reason:
+        String(reason || "")
+          .trim()
+          .slice(0, 200) || null,
+    };
+    let disconnected = 0;
+    for (const userId of room.users.keys()) {
+      const pending = this.pendingLeaves.get(userId);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pendingLeaves.delete(userId);
+      }
+
+      const conn = this.connections.get(userId);
+      if (!conn) continue;
+      this.connections.delete(userId);
+      this.wsToUser.delete(conn.ws);
+      this.sendTo(conn.ws, message);
+      try {
+        conn.ws.close();
+      } catch {
+        // already closed
+      }
+      disconnected++;
+    }
+
+    this._closeWatchers(room, message.reason);
+    this._clearTrackEnd(room.id);
+    this._clearRoomExpiry(room.id);
+    this._deleteRoom(room);
+    log.info("room.closed", { roomId, disconnected });
+    return { disconnected };
+  }
+
+  /**
+   * Send a server-wide notice to everyone in every room on this instance.
+   * @param {string} text - already validated by the caller
+   */
+  announce(text) {
+    const message = {
+      type: "server:announcement",
+      text,
+      timestamp: Date.now(),
+    };
+    for (const room of this.rooms.values()) {
+      this.broadcastToRoom(room.id, message);
+    }
+    log.info("server.announcement", { rooms: this.rooms.size });
+  }
+
+  // ─── API Tokens ───────────────────────────────────────────────────────────
+
+  /**
+   * Mint an API token that can control the room over REST with `role`'s
+   * permissions. Host only. The secret is sent to the host once, in
+   * `token:created`; only its hash is kept.
+   *
+   * @param {string} userId - acting user (must be host)
+   * @param {string} [name] - label shown in the token list and on added tracks
+   * @param {string} [role] - "listener" | "dj" | "cohost", default "dj"
+   */
+  createApiToken(userId, name, role = "dj") {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "manage API tokens");
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      throw new ProtocolError(ErrorCode.BAD_REQUEST, `Unknown role: ${role}`);
+    }
+    if (room.apiTokens.size >= MAX_API_TOKENS) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_STATE,
+        `A room can have at most ${MAX_API_TOKENS} API tokens`,
+      );
+    }
+
+    const id = `api_${nanoid(8)}`;
+    const secret = randomBytes(24).toString("base64url");
+    const token = {
+      id,
+      name: (name || "").trim().slice(0, 32) || "API",
+      role,
+      hash: hashSecret(secret),
+      createdAt: Date.now(),
+      lastUsedAt: null,
+    };
+    room.apiTokens.set(id, token);
+    this.apiActors.set(id, room.id);
+
+    const conn = this.connections.get(userId);
+    this.sendTo(conn.ws, {
+      type: "token:created",
+      token: publicToken(token),
+      secret: `${id}.${secret}`,
+    });
+    this.listApiTokens(userId);
+  }
+
+  /**
+   * Revoke an API token. Host only.
+   * @param {string} userId - acting user (must be host)
+   * @param {string} tokenId
+   */
+  revokeApiToken(userId, tokenId) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "manage API tokens");
+    if (!room.apiTokens.delete(tokenId)) {
+      throw new ProtocolError(ErrorCode.NOT_FOUND, "Token not found");
+    }
+    this.apiActors.delete(tokenId);
+    room.skipVotes.delete(tokenId);
+    this.listApiTokens(userId);
+  }
+
+  /**
+   * Send the room's API tokens (without secrets) to the host as
+   * `tokens:updated`.
+   * @param {string} userId - acting user (must be host)
+   */
+  listApiTokens(userId) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "manage API tokens");
+
+    const conn = this.connections.get(userId);
+    this.sendTo(conn.ws, {
+      type: "tokens:updated",
+      tokens: Array.from(room.apiTokens.values(), publicToken),
+    });
+  }
+
+  /**
+   * Resolve a bearer token (`<tokenId>.<secret>`) for a room.
+   *
+   * @param {string} roomId
+   * @param {string} bearer
+   * @returns {string|null} the token ID, usable as `userId` with the
+   *   control methods, or null if invalid
+   */
+  authenticateApiToken(roomId, bearer) {
+    const room = this.rooms.get(roomId);
+    const [id, secret] = String(bearer).split(".");
+    const token = room && id && secret ? room.apiTokens.get(id) : null;
+    if (!token) return null;
+
+    const expected = Buffer.from(token.hash, "hex");
+    const actual = Buffer.from(hashSecret(secret), "hex");
+    if (!timingSafeEqual(actual, expected)) return null;
+
+    token.lastUsedAt = Date.now();
+    return id;
+  }
+
+  // ─── Webhooks ─────────────────────────────────────────────────────────────
+
+  /**
+   * Register a webhook for some of the room's events. Host only. The signing
+   * secret is sent to the host once, in `webhook:created`.
+   *
+   * @param {string} userId - acting user (must be host)
+   * @param {string} url - http(s) URL to POST to
+   * @param {string[]} events - subset of WEBHOOK_EVENTS
+   */
+  createWebhook(userId, url, events) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "manage webhooks");
+    if (!isValidWebhookUrl(url)) {
+      throw new ProtocolError(ErrorCode.BAD_REQUEST, "Invalid webhook URL");
+    }
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      !events.every((e) => WEBHOOK_EVENTS.includes(e))
+    ) {
+      throw new ProtocolError(
+        ErrorCode.BAD_REQUEST,
+        `events must be some of: ${WEBHOOK_EVENTS.join(", ")}`,
+      );
+    }
+    if (room.webhooks.size >= MAX_WEBHOOKS) {
+      throw new ProtocolError(
+        ErrorCode.INVALID_STATE,
+        `A room can have at most ${MAX_WEBHOOKS} webhooks`,
+      );
+    }
+
+    const hook = {
+      id: nanoid(8),
+      url,
+      events: [...new Set(events)],
+      secret: randomBytes(24).toString("base64url"),
+      createdAt: Date.now(),
+      delivered: 0,
+      failed: 0,
+      lastDelivery: null,
+    };
+    room.webhooks.set(hook.id, hook);
+
+    const conn = this.connections.get(userId);
+    this.sendTo(conn.ws, {
+      type: "webhook:created",
+      webhook: publicWebhook(hook),
+      secret: hook.secret,
+    });
+    this.listWebhooks(userId);
+  }
+
+  /**
+   * Remove a webhook and drop its pending deliveries. Host only.
+   * @param {string} userId - acting user (must be host)
+   * @param {string} webhookId
+   */
+  deleteWebhook(userId, webhookId) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "manage webhooks");
+    if (!room.webhooks.delete(webhookId)) {
+      throw new ProtocolError(ErrorCode.NOT_FOUND, "Webhook not found");
+    }
+    this.webhooks?.cancel(webhookId);
+    this.listWebhooks(userId);
+  }
+
+  /**
+   * Send a `ping` delivery to a webhook. Host only.
+   * @param {string} userId - acting user (must be host)
+   * @param {string} webhookId
+   */
+  testWebhook(userId, webhookId) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "manage webhooks");
+    const hook = room.webhooks.get(webhookId);
+    if (!hook) {
+      throw new ProtocolError(ErrorCode.NOT_FOUND, "Webhook not found");
+    }
+    this.webhooks?.enqueue(room, hook, "ping", {});
+  }
+
+  /**
+   * Send the room's webhooks and their delivery status to the host as
+   * `webhooks:updated`.
+   * @param {string} userId - acting user (must be host)
+   */
+  listWebhooks(userId) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "manage webhooks");
+    this.notifyWebhookStatus(room.id);
+  }
+
+  /**
+   * Push `webhooks:updated` to the room's host, if connected. Called by the
+   * dispatcher whenever a delivery attempt finishes.
+   * @param {string} roomId
+   */
+  notifyWebhookStatus(roomId) {
+    const room = this.rooms.get(roomId);
+    const conn = room && this.connections.get(room.hostId);
+    if (!conn) return;
+
+    this.sendTo(conn.ws, {
+      type: "webhooks:updated",
+      webhooks: Array.from(room.webhooks.values(), publicWebhook),
+    });
+  }
+
+  /**
+   * Queue a webhook delivery for every hook subscribed to `event`.
+   * @param {object} room
+   * @param {string} event - one of WEBHOOK_EVENTS
+   * @param {object} data
+   */
+  _emit(room, event, data) {
+    if (!this.webhooks) return;
+    for (const hook of room.webhooks.values()) {
+      if (hook.events.includes(event)) {
+        this.webhooks.enqueue(room, hook, event, data);
+      }
+    }
+  }
+
+  // ─── Blocklist & Duplicates ───────────────────────────────────────────────
+
+  /**
+   * Block a track (any provider's link) or a title pattern in the room.
+   * Host only.
+   * Keyword patterns match titles case-insensitively; `*` matches anything.
+   *
+   * @param {string} userId - acting user (must be host)
+   * @param {"video"|"keyword"} kind
+   * @param {string} value - a link or ID `matchMedia` accepts, or a keyword pattern
+   */
+  addBlocklistEntry(userId, kind, value) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "manage the blocklist");
+    if (room.blocklist.length >= MAX_BLOCKLIST) {
+      throw new ProtocolError(
+        ErrorCode.BAD_REQUEST,
+        `A room can block at most ${MAX_BLOCKLIST} entries`,
+      );
+    }
+
+    let entry;
+    if (kind === "video") {
+      const media = matchMedia(value);
+      if (!media) {
+        throw new ProtocolError(
+          ErrorCode.INVALID_URL,
+          `Not ${SUPPORTED_MEDIA}`,
+        );
+      }
+      const key = mediaKey(media);
+      const known =
+        room.queue.find((t) => mediaKey(t) === key) ??
+        room.history.find((e) => mediaKey(e) === key);
+      entry = {
+        kind,
+        provider: media.provider,
+        value: media.mediaId,
+        title: known?.title ?? null,
+      };
+    } else if (kind === "keyword") {
+      const keyword = String(value || "")
+        .trim()
+        .slice(0, MAX_KEYWORD_LENGTH);
+      if (!keyword.replaceAll("*", "")) {
+        throw new ProtocolError(ErrorCode.BAD_REQUEST, "Keyword is empty");
+      }
+      entry = { kind, value: keyword };
+    } else {
+      throw new ProtocolError(
+        ErrorCode.BAD_REQUEST,
+        'Blocklist kind must be "video" or "keyword"',
+      );
+    }
+
+    const duplicate = room.blocklist.some(
+      (e) =>
+        e.kind === entry.kind &&
+        e.provider === entry.provider &&
+        e.value.toLowerCase() === entry.value.toLowerCase(),
+    );
+    if (!duplicate) {
+      room.blocklist.push({ id: nanoid(8), ...entry, createdAt: Date.now() });
+    }
+    this.listBlocklist(userId);
+  }
+
+  /**
+   * @param {string} userId - acting user (must be host)
+   * @param {string} entryId
+   */
+  removeBlocklistEntry(userId, entryId) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "manage the blocklist");
+    const index = room.blocklist.findIndex((e) => e.id === entryId);
+    if (index === -1) {
+      throw new ProtocolError(ErrorCode.NOT_FOUND, "Entry not found");
+    }
+    room.blocklist.splice(index, 1);
+    this.listBlocklist(userId);
+  }
+
+  /**
+   * Send the blocklist to the host as `blocklist:updated`.
+   * @param {string} userId - acting user (must be host)
+   */
+  listBlocklist(userId) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "manage the blocklist");
+
+    const conn = this.connections.get(userId);
+    this.sendTo(conn.ws, {
+      type: "blocklist:updated",
+      blocklist: room.blocklist,
+    });
+  }
+
+  /**
+   * Check a resolved track against the room's blocklist, length limit (when
+   * its duration is already known here) and duplicate rule before it is
+   * queued.
+   *
+   * @param {string} userId
+   * @param {{ provider: string, mediaId: string, title: string }} track
+   * @param {string[]} [alsoPending] - `mediaKey`s about to be queued with it (bulk import)
+   * @returns {string|null} a warning for the requester (`duplicates: "warn"`)
+   * @throws {ProtocolError} BLOCKED, TOO_LONG, or DUPLICATE with `duplicates: "reject"`
+   */
+  screenTrack(userId, { provider, mediaId, title }, alsoPending = []) {
+    const room = this._requireRoom(userId);
+
+    for (const entry of room.blocklist) {
+      const blocked =
+        entry.kind === "video"
+          ? entry.provider === provider && entry.value === mediaId
+          : keywordPattern(entry.value).test(title);
+      if (blocked) {
+        throw new ProtocolError(
+          ErrorCode.BLOCKED,
+          entry.kind === "video"
+            ? "This track is blocked in this room"
+            : `Titles matching “${entry.value}” are blocked in this room`,
+        );
+      }
+    }
+
+    const key = mediaKey({ provider, mediaId });
+    const limit = room.settings.maxTrackLength;
+    if (limit > 0 && this._knownDuration(room, key) > limit) {
+      throw new ProtocolError(
+        ErrorCode.TOO_LONG,
+        `“${title}” is longer than the ${formatMinutes(limit)} limit`,
+      );
+    }
+
+    const mode = room.settings.duplicates;
+    if (mode === "allow") return null;
+
+    const reason = this._duplicateReason(room, key, alsoPending);
+    if (!reason) return null;
+    if (mode === "reject") {
+      throw new ProtocolError(ErrorCode.DUPLICATE, `“${title}” ${reason}`);
+    }
+    return `Heads up: “${title}” ${reason}`;
+  }
+
+  /**
+   * @param {object} room
+   * @param {string} key - `mediaKey` of the track
+   * @param {string[]} alsoPending
+   * @returns {string|null} why the track counts as a duplicate, if it does
+   */
+  _duplicateReason(room, key, alsoPending) {
+    const current = room.queue[room.currentIndex];
+    if (
+      (current && mediaKey(current) === key) ||
+      alsoPending.includes(key) ||
+      this.upcomingTracks(room).some((t) => mediaKey(t) === key)
+    ) {
+      return "is already in the queue";
+    }
+
+    const windowMs = room.settings.duplicateWindow * 60_000;
+    if (windowMs <= 0) return null;
+    const since = Date.now() - windowMs;
+    const played = room.history.some(
+      (e) => mediaKey(e) === key && (e.endedAt ?? Date.now()) >= since,
+    );
+    return played
+      ? `was played in the last ${room.settings.duplicateWindow} min`
+      : null;
+  }
+
+  // ─── Roles & Settings ─────────────────────────────────────────────────────
+
+  /**
+   * Whether a user may perform a permission-gated action
+   * (one of the DEFAULT_SETTINGS permission keys, e.g. "add").
+   *
+   * @param {string} userId
+   * @param {string} action
+   * @returns {boolean}
+   */
+  can(userId, action) {
+    const room = this._roomForUser(userId);
+    if (!room || !(action in room.settings) || action === "defaultRole")
+      return false;
+    return this._hasRole(room, userId, room.settings[action]);
+  }
+
+  /**
+   * Assign a role to another user. Host only; the host role itself moves
+   * only through host migration.
+   *
+   * @param {string} userId - acting user (must be host)
+   * @param {string} targetId
+   * @param {string} role - "listener" | "dj" | "cohost"
+   */
+  setRole(userId, targetId, role) {
+    const room = this._requireRoom(userId);
+    this._requireHost(room, userId, "assign roles");
+    this._requireOtherUser(room, userId, targetId);
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      throw new ProtocolError(ErrorCode.BAD_REQUEST, `Unknown role: ${role}`);
+    }
+
+    room.roles.set(targetId, role);
+    this._broadcastRoles(room);
+  }
+
+  /**
+   * Change room settings. Host and co-hosts only; unknown keys and invalid
+   * values are ignored.
+   *
+   * @param {string} userId
+   * @param {object} patch - partial settings
+   */
+  updateSettings(userId, patch) {
+    const room = this._requireRoom(userId);
+    if (!this._hasRole(room, userId, "cohost")) {
+      throw new ProtocolError(
+        ErrorCode.FORBIDDEN,
+        "Only the host and co-hosts can change settings",
+      );
+    }
+    if (!patch || typeof patch !== "object") {
+      throw new ProtocolError(ErrorCode.BAD_REQUEST, "Invalid settings");
+    }
+
+    let changed = false;
+    for (const [key, value] of Object.entries(patch)) {
+      if (!(key in DEFAULT_SETTINGS)) continue;
+      const valid =
+        key in QUEUE_RULES
+          ? QUEUE_RULES[key](value)
+          : (key === "defaultRole" ? ASSIGNABLE_ROLES : ROLES).includes(value);
+      if (!valid || room.settings[key] === value) continue;
+      room.settings[key] = value;
+      changed = true;
+    }
+    if (!changed) return;
+    if (this._applyFairOrder(room)) this._broadcastQueue(room);
+
+    this.broadcastToRoom(room.id, {
+      type: "settings:updated",
+      settings: room.settings,
+    });
+    this._enforceMaxLength(room);
+  }
+
+  /**
+   * Effective role of a user in a room.
+   * @param {object} room
+   * @param {string} userId
+   * @returns {string}
+   */
+  _roleOf(room, userId) {
+    if (room.hostId === userId) return "host";
+    const token = room.apiTokens.get(userId);
+    if (token) return token.role;
+    return room.roles.get(userId) || room.settings.defaultRole;
+  }
+
+  /**
+   * Display name of a user or API token, for `addedByName`.
+   * @param {object} room
+   * @param {string} userId
+   * @returns {string}
+   */
+  _nameOf(room, userId) {
+    return (
+      room.users.get(userId)?.name ??
+      room.apiTokens.get(userId)?.name ??
+      "Unknown"
+    );
+  }
+
+  /**
+   * Whether a user's role is at least `minRole`.
+   * @param {object} room
+   * @param {string} userId
+   * @param {string} minRole
+   * @returns {boolean}
+   */
+  _hasRole(room, userId, minRole) {
+    return ROLES.indexOf(this._roleOf(room, userId)) >= ROLES.indexOf(minRole);
+  }
+
+  /**
+   * Broadcast host and explicit role assignments.
+   * @param {object} room
+   */
+  _broadcastRoles(room) {
+    this.broadcastToRoom(room.id, {
+      type: "roles:updated",
+      hostId: room.hostId,
+      roles: Object.fromEntries(room.roles),
+    });
+  }
+
+  // ─── Internal Helpers ─────────────────────────────────────────────────────
+
+  /**
+   * Get the room for a given userId or API token ID.
+   * @param {string} userId
+   * @returns {object|null}
+   */
+  _roomForUser(userId) {
+    const roomId =
+      this.connections.get(userId)?.roomId ?? this.apiActors.get(userId);
+    if (!roomId) return null;
+    return this.rooms.get(roomId) || null;
+  }
+
+  /**
+   * Like `_roomForUser`, for methods acting on a client's behalf.
+   * @param {string} userId
+   * @returns {object}
+   * @throws {ProtocolError} NOT_JOINED
+   */
+  _requireRoom(userId) {
+    const room = this._roomForUser(userId);
+    if (!room) {
+      throw new ProtocolError(ErrorCode.NOT_JOINED, "Join a room first");
+    }
+    return room;
+  }
+
+  /**
+   * Whether a client's report about the current track (its duration, or
+   * that it ended) may change playback. Either can end the track without a
+   * skip vote, so one client's word only counts when it is the only member
+   * connected; otherwise a second member has to report the same thing
+   * (durations within a second of each other).
+   *
+   * @param {object} room
+   * @param {string} userId
+   * @param {"duration"|"ended"} kind
+   * @param {number} [seconds]
+   * @returns {boolean}
+   */
+  _corroborated(room, userId, kind, seconds = 0) {
+    const trackId = room.queue[room.currentIndex].id;
+    if (room.trackReports?.trackId !== trackId) {
+      room.trackReports = { trackId, duration: new Map(), ended: new Map() };
+    }
+    const reports = room.trackReports[kind];
+    reports.set(userId, seconds);
+
+    if (this._connectedCount(room) <= 1) return true;
+    for (const [otherId, value] of reports) {
+      if (otherId !== userId && Math.abs(value - seconds) <= 1) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Members with a live socket (not those within their resume grace).
+   * @param {object} room
+   * @returns {number}
+   */
+  _connectedCount(room) {
+    let count = 0;
+    for (const userId of room.users.keys()) {
+      if (this.connections.has(userId)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * @param {object} room
+   * @param {string} userId
+   * @param {string} action - a permission key of DEFAULT_SETTINGS
+   * @throws {ProtocolError} FORBIDDEN
+   */
+  _requirePermission(room, userId, action) {
+    if (this._hasRole(room, userId, room.settings[action])) return;
+    throw new ProtocolError(
+      ErrorCode.FORBIDDEN,
+      `You don't have permission to ${PERMISSION_ACTIONS[action]}`,
+    );
+  }
+
+  /**
+   * @param {object} room
+   * @param {string} userId
+   * @param {string} action - what is being attempted, e.g. "kick users"
+   * @throws {ProtocolError} FORBIDDEN
+   */
+  _requireHost(room, userId, action) {
+    if (room.hostId === userId) return;
+    throw new ProtocolError(ErrorCode.FORBIDDEN, `Only the host can ${action}`);
+  }
+
+  /**
+   * @param {object} room
+   * @param {string} messageId
+   * @returns {object} the backlog entry
+   * @throws {ProtocolError} NOT_FOUND (also for messages past the backlog)
+   */
+  _requireChatMessage(room, messageId) {
+    const message = room.chat.find((m) => m.id === messageId);
+    if (!message) {
+      throw new ProtocolError(ErrorCode.NOT_FOUND, "Message not found");
+    }
+    return message;
+  }
+
+  /**
+   * Users mentioned as `@name` in a chat message. Longer names are matched
+   * first, so "@DJ Sam" doesn't also mention "DJ".
+   *
+   * @param {object} room
+   * @param {string} text
+   * @returns {string[]} user IDs
+   */
+  _mentionsIn(room, text) {
+    if (!text.includes("@")) return [];
+
+    let rest = text.toLowerCase();
+    const mentioned = [];
+    const users = Array.from(room.users.values()).sort(
+      (a, b) => b.name.length - a.name.length,
+    );
+    for (const user of users) {
+      const name = user.name.toLowerCase();
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const pattern = new RegExp(`@${escaped}(?![\\p{L}\\p{N}_])`, "gu");
+      if (!pattern.test(rest)) continue;
+      mentioned.push(user.id);
+      rest = rest.replace(pattern, " ");
+    }
+    return mentioned;
+  }
+
+  /**
+   * The target of a moderation or role action: another user in the room.
+   * @param {object} room
+   * @param {string} userId
+   * @param {string} targetId
+   * @throws {ProtocolError} NOT_FOUND or BAD_REQUEST
+   */
+  _requireOtherUser(room, userId, targetId) {
+    if (!room.users.has(targetId)) {
+      throw new ProtocolError(ErrorCode.NOT_FOUND, "User not found");
+    }
+    if (targetId === userId) {
+      throw new ProtocolError(
+        ErrorCode.BAD_REQUEST,
+        "You can't do that to yourself",
+      );
+    }
+  }
+
+  /**
+   * Index of a track the user may edit (see `_canEditTrack`).
+   * @param {object} room
+   * @param {string} userId
+   * @param {string} trackId
+   * @returns {number}
+   * @throws {ProtocolError} NOT_FOUND or FORBIDDEN
+   */
+  _requireEditableTrack(room, userId, trackId) {
+    const index = room.queue.findIndex((t) => t.id === trackId);
+    if (index === -1) {
+      throw new ProtocolError(ErrorCode.NOT_FOUND, "Track not found");
+    }
+    if (!this._canEditTrack(room, userId, room.queue[index])) {
+      throw new ProtocolError(
+        ErrorCode.FORBIDDEN,
+        "You can only change your own tracks",
+      );
+    }
+    return index;
+  }
+
+  /**
+   * @param {object} room
+   * @throws {ProtocolError} INVALID_STATE if nothing is loaded
+   */
+  _requireCurrentTrack(room) {
+    if (room.currentIndex !== -1) return;
+    throw new ProtocolError(ErrorCode.INVALID_STATE, "Nothing is playing");
+  }
+
+  /**
+   * Whether a user may remove/move/jump to a track: its owner, or anyone
+   * whose role meets the room's `removeOthers` setting.
+   *
+   * @param {object} room
+   * @param {string} userId
+   * @param {object} track
+   * @returns {boolean}
+   */
+  _canEditTrack(room, userId, track) {
+    return (
+      track.addedBy === userId ||
+      this._hasRole(room, userId, room.settings.removeOthers)
+    );
+  }
+
+  /**
+   * @param {object} room
+   * @throws {ProtocolError} INVALID_STATE while fair rotation orders the queue
+   */
+  _requireManualOrder(room) {
+    if (!room.settings.fairQueue) return;
+    throw new ProtocolError(
+      ErrorCode.INVALID_STATE,
+      "The queue is in fair rotation; turn it off to reorder tracks",
+    );
+  }
+
+  /**
+   * With `settings.fairQueue`, interleave the upcoming tracks round-robin by
+   * who added them: everyone's next track, then everyone's second, and so
+   * on. People take turns in the order they first appear in the upcoming
+   * tracks (play order, so shuffle mode shuffles within each turn), except
+   * that the current track's adder goes last. Tracks from people who have
+   * left the room go to the end.
+   *
+   * @param {object} room
+   * @returns {boolean} whether the order changed
+   */
+  _applyFairOrder(room) {
+    if (!room.settings.fairQueue || room.currentIndex === -1) return false;
+
+    const upcoming = this.upcomingTracks(room);
+    if (upcoming.length < 2) return false;
+
+    /** @type {Map<string, object[]>} adder → their upcoming tracks */
+    const lanes = new Map();
+    const orphaned = [];
+    for (const track of upcoming) {
+      const { addedBy } = track;
+      if (!room.users.has(addedBy) && !room.apiTokens.has(addedBy)) {
+        orphaned.push(track);
+        continue;
+      }
+      if (!lanes.has(addedBy)) lanes.set(addedBy, []);
+      lanes.get(addedBy).push(track);
+    }
+
+    const current = room.queue[room.currentIndex];
+    if (current && lanes.has(current.addedBy)) {
+      const lane = lanes.get(current.addedBy);
+      lanes.delete(current.addedBy);
+      lanes.set(current.addedBy, lane);
+    }
+
+    const ordered = [];
+    const longest = Math.max(0, ...Array.from(lanes.values(), (l) => l.length));
+    for (let round = 0; round < longest; round++) {
+      for (const lane of lanes.values()) {
+        if (lane[round]) ordered.push(lane[round]);
+      }
+    }
+    ordered.push(...orphaned);
+
+    if (ordered.every((track, i) => track === upcoming[i])) return false;
+    this._setUpcomingOrder(room, upcoming, ordered);
+    return true;
+  }
+
+  /**
+   * Apply a queue reorder while keeping `currentIndex` pointed at the
+   * track that is actually playing.
+   *
+   * @param {object} room
+   * @param {() => void} mutate
+   */
+  _reorder(room, mutate) {
+    const current =
+      room.currentIndex >= 0 ? room.queue[room.currentIndex] : null;
+    mutate();
+    if (current) room.currentIndex = room.queue.indexOf(current);
+  }
+
+  /**
+   * Broadcast the queue and current index to everyone in the room.
+   * @param {object} room
+   */
+  _broadcastQueue(room) {
+    this.broadcastToRoom(room.id, {
+      type: "queue:updated",
+      queue: room.queue,
+      currentIndex: room.currentIndex,
+      nextIndex: this._nextIndex(room, "finished"),
+    });
+    this._emit(room, "queue.changed", {
+      queue: room.queue,
+      currentIndex: room.currentIndex,
+    });
+    this._feed(room, { type: "queue", ...this._feedQueue(room) });
+  }
+
+  /**
+   * Arm (or disarm) the timer that advances the room when the current track
+   * ends. Call after every playback state change.
+   *
+   * @param {object} room
+   */
+  _scheduleTrackEnd(room) {
+    this._clearTrackEnd(room.id);
+
+    const track = room.currentIndex >= 0 ? room.queue[room.currentIndex] : null;
+    if (!track || !(track.duration > 0) || room.playbackState !== "playing")
+      return;
+
+    const elapsed = (Date.now() - room.startedAt) / 1000;
+    const remainingMs = Math.max(0, (track.duration - elapsed) * 1000);
+
+    const timer = setTimeout(() => {
+      this.trackTimers.delete(room.id);
+      if (this.rooms.get(room.id) !== room) return;
+      if (room.queue[room.currentIndex] !== track) return;
+      this.nextTrack(room.id);
+    }, remainingMs);
+
+    this.trackTimers.set(room.id, timer);
+  }
+
+  /**
+   * @param {string} roomId
+   */
+  _clearTrackEnd(roomId) {
+    const timer = this.trackTimers.get(roomId);
+    if (timer) {
+      clearTimeout(timer);
+      this.trackTimers.delete(roomId);
+    }
+  }
+
+  /**
+   * Send a JSON message to a single WebSocket.
+   * Automatically removes disconnected users on send failure.
+   *
+   * @param {any} ws
+   * @param {object} payload
+   */
+  sendTo(ws, payload) {
+    try {
+      ws.send(JSON.stringify(payload));
+    } catch (err) {
+      // Clean up broken connection
+      const userId = this.wsToUser.get(ws);
+      if (!userId) this.unwatchRoom(ws);
+      metrics.sendFailures.inc();
+      log.warn("send.failed", {
+        roomId: this.connections.get(userId)?.roomId,
+        userId,
+        type: payload.type,
+        err,
+      });
+      if (userId) this.leaveRoom(userId);
+    }
+  }
+
+  /**
+   * Broadcast a JSON message to all users in a room, optionally excluding one.
+   *
+   * @param {string} roomId
+   * @param {object} payload
+   * @param {any} [excludeWs] - WebSocket to exclude from the broadcast
+   */
+  broadcastToRoom(roomId, payload, excludeWs = null) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    let sent = 0;
+    for (const [userId] of room.users) {
+      const conn = this.connections.get(userId);
+      if (!conn || conn.ws === excludeWs) continue;
+      this.sendTo(conn.ws, payload);
+      sent++;
+    }
+    metrics.broadcastFanout.observe(sent);
+  }
+
+  /**
+   * Broadcast a playback:sync message to all users in a room, and the new
+   * `now-playing` to its feed watchers.
+   *
+   * @param {string} roomId
+   */
+  broadcastPlaybackSync(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    this.broadcastToRoom(roomId, this._playbackSync(room));
+    this._feed(room, { type: "now-playing", ...this._feedNowPlaying(room) });
+  }
+
+  /**
+   * A playback:sync message for the room's current state. Computes elapsed
+   * from the current timestamp if playing.
+   *
+   * @param {object} room
+   * @returns {object}
+   */
+  _playbackSync(room) {
+    const now = Date.now();
+    const elapsed =
+      room.playbackState === "playing"
+        ? (now - room.startedAt) / 1000
+        : room.elapsed;
+
+    const currentTrack =
+      room.currentIndex >= 0 ? room.queue[room.currentIndex] : null;
+
+    return {
+      type: "playback:sync",
+      state: room.playbackState,
+      currentIndex: room.currentIndex,
+      elapsed,
+      timestamp: now,
+      provider: currentTrack ? currentTrack.provider : null,
+      mediaId: currentTrack ? currentTrack.mediaId : null,
+      youtubeId: currentTrack ? currentTrack.youtubeId : null,
+    };
+  }
+
+  /**
+   * Re-send `playback:sync` to every occupied room that is playing, so
+   * clients can correct drift between state changes, and `progress` to its
+   * feed watchers. The server calls this on an interval.
+   */
+  syncPlayingRooms() {
+    for (const room of this.rooms.values()) {
+      if (room.playbackState !== "playing") continue;
+      if (room.users.size > 0) {
+        this.broadcastToRoom(room.id, this._playbackSync(room));
+      }
+      if (this.watchers.has(room.id)) {
+        const { elapsed, timestamp } = this._playbackSync(room);
+        this._feed(room, { type: "progress", elapsed, timestamp });
+      }
+    }
+  }
+
+  /**
+   * What a room is playing right now (REST `now-playing`).
+   *
+   * @param {object} room
+   * @returns {{ state: string, currentIndex: number, elapsed: number, track: object|null, skipVotes: number, skipNeeded: number }}
+   */
+  nowPlaying(room) {
+    const skip = this.skipTally(room);
+    return {
+      state: room.playbackState,
+      currentIndex: room.currentIndex,
+      elapsed:
+        room.playbackState === "playing"
+          ? (Date.now() - room.startedAt) / 1000
+          : room.elapsed,
+      track: room.currentIndex >= 0 ? room.queue[room.currentIndex] : null,
+      skipVotes: skip.current,
+      skipNeeded: skip.needed,
+    };
+  }
+
+  /**
+   * Serialize a room for JSON transmission (converts Maps/Sets to plain objects).
+   *
+   * @param {object} room
+   * @returns {object}
+   */
+  serializeRoom(room) {
+    const now = Date.now();
+    const elapsed =
+      room.playbackState === "playing"
+        ? (now - room.startedAt) / 1000
         : room.elapsed;
+    const skip = this.skipTally(room);
 
     return {
       id: room.id,
@@ -528,11 +3021,21 @@ export class RoomManager {
       currentIndex: room.currentIndex,
       playbackState: room.playbackState,
       elapsed,
+      timestamp: now, // server clock when `elapsed` was taken
       startedAt: room.startedAt,
       users: Array.from(room.users.values()),
-      skipVotes: room.skipVotes.size,
-      skipNeeded: Math.ceil(room.users.size / 2),
+      skipVotes: skip.current,
+      skipNeeded: skip.needed,
       crossfadeDuration: room.crossfadeDuration,
+      repeat: room.repeat,
+      shuffle: room.shuffle,
+      nextIndex: this._nextIndex(room, "finished"),
+      settings: room.settings,
+      roles: Object.fromEntries(room.roles),
+      hasPassword: Boolean(room.password),
+      locked: room.locked,
+      history: room.history,
+      chat: room.chat,
     };
   }
 }
@@ -0,0 +1,250 @@
+/**
+ * Pluggable room persistence.
+ *
+ * Every backend exposes the same methods:
+ *   load(): Promise<RoomSnapshot[]>          — lock the path, read the last saved snapshot
+ *   save(rooms: RoomSnapshot[]): Promise<void> — replace it with a new one
+ *   close(): Promise<void>                   — release the lock
+ *
+ * Snapshots are produced by `RoomManager.snapshot()` and consumed by
+ * `RoomManager.restore()`; backends treat them as opaque JSON.
+ *
+ * A save replaces everything the instance had saved, and a restore takes
+ * every room it finds, so a storage path belongs to one instance: the file
+ * and sqlite backends hold `<path>.lock` while running and refuse to load
+ * a path another live instance holds.
+ */
+
+import {
+  mkdir,
+  open,
+  readFile,
+  rename,
+  stat,
+  unlink,
+  utimes,
+  writeFile,
+} from "node:fs/promises";
+import { hostname } from "node:os";
+import { dirname } from "node:path";
+
+/** How often a held lock file is touched */
+const LOCK_REFRESH_MS = 10_000;
+
+/** A lock file untouched for this long belongs to an instance that died */
+const LOCK_STALE_MS = 60_000;
+
+/**
+ * No-op backend — rooms live only in memory (the default).
+ */
+export class MemoryStorage {
+  async load() {
+    return [];
+  }
+
+  async save() {}
+
+  async close() {}
+}
+
+/**
+ * Stores all rooms as a single JSON file, written atomically.
+ */
+export class FileStorage {
+  /**
+   * @param {string} path - file to read/write
+   */
+  constructor(path) {
+    this.path = path;
+    this.lock = null;
+  }
+
+  async load() {
+    this.lock ??= await lockStoragePath(this.path);
+    const data = await readJsonFile(this.path);
+    return Array.isArray(data?.rooms) ? data.rooms : [];
+  }
+
+  /**
+   * @param {object[]} rooms
+   */
+  async save(rooms) {
+    await writeJsonFile(this.path, { version: 1, rooms });
+  }
+
+  async close() {
+    await this.lock?.release();
+    this.lock = null;
+  }
+}
+
+/**
+ * Stores one row per room in a `bun:sqlite` database.
+ */
+export class SqliteStorage {
+  /**
+   * @param {string} path - database file
+   */
+  constructor(path) {
+    this.path = path;
+    this.db = null;
+    this.lock = null;
+  }
+
+  async _open() {
+    if (this.db) return this.db;
+
+    this.lock ??= await lockStoragePath(this.path);
+    const { Database } = await import("bun:sqlite");
+    this.db = new Database(this.path, { create: true });
+    this.db.run(
+      "CREATE TABLE IF NOT EXISTS rooms (id TEXT PRIMARY KEY, data TEXT NOT NULL)",
+    );
+    return this.db;
+  }
+
+  async load() {
+    const db = await this._open();
+    return db
+      .query("SELECT data FROM rooms")
+      .all()
+      .map((row) => JSON.parse(row.data));
+  }
+
+  /**
+   * @param {object[]} rooms
+   */
+  async save(rooms) {
+    const db = await this._open();
+    const insert = db.prepare("INSERT INTO rooms (id, data) VALUES (?, ?)");
+
+    db.transaction(() => {
+      db.run("DELETE FROM rooms");
+      for (const room of rooms) insert.run(room.id, JSON.stringify(room));
+    })();
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+    await this.lock?.release();
+    this.lock = null;
+  }
+}
+
+/**
+ * Claim a storage path for this process with a `<path>.lock` file holding
+ * `{ pid, host }`, touched every LOCK_REFRESH_MS. An existing lock is taken
+ * over when it was written on another host (a recreated container gets a new
+ * hostname, and a data volume has one writer), when its pid isn't running or
+ * is this very pid, or when it hasn't been touched in LOCK_STALE_MS.
+ *
+ * @param {string} path - the storage file
+ * @returns {Promise<{ release: () => Promise<void> }>}
+ * @throws {Error} if another running instance holds the path
+ */
+export async function lockStoragePath(path) {
+  const lockPath = `${path}.lock`;
+  await mkdir(dirname(lockPath), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const file = await open(lockPath, "wx");
+      await file.writeFile(
+        JSON.stringify({ pid: process.pid, host: hostname() }),
+      );
+      await file.close();
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST" || attempt > 0) throw err;
+    }
+
+    if (!(await isStaleLock(lockPath))) {
+      const owner = await readJsonFile(lockPath).catch(() => null);
+      throw new Error(
+        `${path} is in use by another instance (pid ${owner?.pid} on ` +
+          `${owner?.host}); give each instance its own STORAGE_PATH`,
+      );
+    }
+    await unlink(lockPath).catch(() => {});
+  }
+
+  const timer = setInterval(() => {
+    const now = new Date();
+    utimes(lockPath, now, now).catch(() => {});
+  }, LOCK_REFRESH_MS);
+  timer.unref?.();
+
+  return {
+    async release() {
+      clearInterval(timer);
+      await unlink(lockPath).catch(() => {});
+    },
+  };
+}
+
+/**
+ * @param {string} lockPath
+ * @returns {Promise<boolean>} whether the lock's owner is gone
+ */
+async function isStaleLock(lockPath) {
+  try {
+    const { mtimeMs } = await stat(lockPath);
+    if (Date.now() - mtimeMs > LOCK_STALE_MS) return true;
+
+    const owner = await readJsonFile(lockPath);
+    if (owner?.host !== hostname()) return true;
+    if (owner.pid === process.pid) return true;
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (err) {
+    // ESRCH: no such process. EPERM means it exists under another user.
+    return err.code !== "EPERM";
+  }
+}
+
+/**
+ * Read a JSON file.
+ * @param {string} path
+ * @returns {Promise<any>} parsed contents, or null if the file doesn't exist
+ */
+export async function readJsonFile(path) {
+  try {
+    return JSON.parse(await readFile(path, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Write a JSON file atomically (tmp + rename), creating its directory.
+ * @param {string} path
+ * @param {any} data
+ */
+export async function writeJsonFile(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  const tmp = `${path}.tmp`;
+  await writeFile(tmp, JSON.stringify(data));
+  await rename(tmp, path);
+}
+
+/**
+ * Build a storage backend by name.
+ *
+ * @param {{ driver?: string, path?: string }} options
+ *   driver: "memory" (default) | "file" | "sqlite"
+ * @returns {MemoryStorage|FileStorage|SqliteStorage}
+ */
+export function createStorage({ driver = "memory", path } = {}) {
+  switch (driver) {
+    case "memory":
+      return new MemoryStorage();
+    case "file":
+      return new FileStorage(path || "data/jukebox.json");
+    case "sqlite":
+      return new SqliteStorage(path || "data/jukebox.sqlite");
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Outgoing webhooks: signed JSON POSTs for room events, delivered from a
+ * background queue with retries. Hooks themselves live on the room
+ * (`room.webhooks`, managed by RoomManager); this module only delivers.
+ */
+
+import { createHmac } from "node:crypto";
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+import { nanoid } from "nanoid";
+import { log } from "./logger.js";
+
+/** Events a webhook can subscribe to. "ping" is always delivered. */
+export const WEBHOOK_EVENTS = [
+  "track.started",
+  "track.skipped",
+  "queue.changed",
+  "user.joined",
+  "user.left",
+  "chat.message",
+];
+
+/** Abort a delivery attempt after this long */
+const DELIVERY_TIMEOUT_MS = 5000;
+
+/** Deliveries waiting to be sent; beyond this the oldest are dropped */
+const MAX_QUEUE = 1000;
+
+/**
+ * Addresses a webhook may not point at: the server itself, its network and
+ * cloud metadata endpoints (169.254.169.254). IPv4-mapped IPv6 addresses
+ * match the IPv4 ranges.
+ */
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 3], // multicast, reserved, broadcast
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127], // unspecified, loopback
+  ["64:ff9b::", 96], // NAT64: could wrap any of the above
+  ["fc00::", 7], // unique-local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Sign a payload: hex HMAC-SHA256 of the raw body with the hook's secret.
+ * Receivers compare it against the `X-Jukebox-Signature: sha256=<hex>` header.
+ *
+ * @param {string} secret
+ * @param {string} body
+ * @returns {string}
+ */
+export function signPayload(secret, body) {
+  return createHmac("sha256", secret).update(body).digest("hex");
+}
+
+/**
+ * Check a webhook target URL.
+ * @param {string} url
+ * @returns {boolean} true for absolute http(s) URLs
+ */
+export function isValidWebhookUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {string} address - an IPv4 or IPv6 address
+ * @returns {boolean} whether it is loopback, link-local, private or otherwise not public
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (family === 0) return true;
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Resolve a webhook URL's host and refuse it if any address it resolves to
+ * is private, so a room host can't make the server send requests into its
+ * own network (SSRF). Checked when a hook is created and before every
+ * delivery, since DNS answers can change.
+ *
+ * @param {string} url - passed `isValidWebhookUrl`
+ * @param {boolean} [allowPrivate] - `WEBHOOK_ALLOW_PRIVATE`, for local test receivers
+ * @returns {Promise<string|null>} why the target is refused, or null
+ * @throws if the host doesn't resolve
+ */
+export async function checkWebhookTarget(url, allowPrivate = false) {
+  if (allowPrivate) return null;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = isIP(host)
+    ? [{ address: host }]
+    : await lookup(host, { all: true, verbatim: true });
+  if (
+    addresses.length === 0 ||
+    addresses.some((a) => isPrivateAddress(a.address))
+  ) {
+    return "Webhook URL must point to a public address";
+  }
+  return null;
+}
+
+/**
+ * Delivers webhook payloads a few at a time. Failed attempts (network
+ * errors, timeouts, 408/429/5xx) are retried with exponential backoff;
+ * other 4xx responses are final. Every attempt is recorded on the hook
+ * (`lastDelivery`, plus the `delivered` / `failed` totals once a delivery
+ * is settled) and reported via `onStatus`.
+ */
+export class WebhookDispatcher {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxAttempts] - attempts per delivery, including the first
+   * @param {number} [options.retryBaseMs] - delay before the first retry; doubles each time
+   * @param {number} [options.concurrency] - requests in flight at once
+   * @param {(roomId: string) => void} [options.onStatus] - a hook's delivery status changed
+   * @param {boolean} [options.allowPrivate] - deliver to private addresses (local testing only)
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.allowPrivate = options.allowPrivate ?? false;
+    this.retryBaseMs = options.retryBaseMs ?? 1000;
+    this.concurrency = options.concurrency ?? 2;
+    this.onStatus = options.onStatus ?? (() => {});
+
+    /** @type {object[]} deliveries ready to send, oldest first */
+    this.queue = [];
+
+    /** @type {Map<object, any>} delivery → backoff timer */
+    this.retries = new Map();
+
+    this.active = 0;
+  }
+
+  /**
+   * Queue an event for one hook.
+   *
+   * @param {{ id: string, name: string }} room
+   * @param {object} hook - entry of `room.webhooks`
+   * @param {string} event - one of WEBHOOK_EVENTS, or "ping"
+   * @param {object} data
+   */
+  enqueue(room, hook, event, data) {
+    const id = nanoid(12);
+    const body = JSON.stringify({
+      id,
+      event,
+      roomId: room.id,
+      roomName: room.name,
+      timestamp: Date.now(),
+      data,
+    });
+
+    this.queue.push({ id, roomId: room.id, hook, event, body, attempt: 0 });
+    if (this.queue.length > MAX_QUEUE) {
+      const dropped = this.queue.shift();
+      log.warn("webhook.dropped", {
+        roomId: dropped.roomId,
+        webhookId: dropped.hook.id,
+        event: dropped.event,
+      });
+    }
+    this._pump();
+  }
+
+  /**
+   * Drop queued and retrying deliveries for a deleted hook.
+   * @param {string} hookId
+   */
+  cancel(hookId) {
+    this.queue = this.queue.filter((d) => d.hook.id !== hookId);
+    for (const [delivery, timer] of this.retries) {
+      if (delivery.hook.id !== hookId) continue;
+      clearTimeout(timer);
+      this.retries.delete(delivery);
+    }
+  }
+
+  _pump() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const delivery = this.queue.shift();
+      this.active++;
+      this._attempt(delivery).finally(() => {
+        this.active--;
+        this._pump();
+      });
+    }
+  }
+
+  /**
+   * One POST. Schedules a retry or records the final outcome.
+   * @param {object} delivery
+   */
+  async _attempt(delivery) {
+    const { hook } = delivery;
+    delivery.attempt++;
+
+    let status = 0;
+    let error = null;
+    let refused = false;
+    try {
+      // Every attempt: the host's DNS answer may have changed since
+      error = await checkWebhookTarget(hook.url, this.allowPrivate);
+      refused = error !== null;
+      if (!refused) {
+        const res = await fetch(hook.url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "Jukebox-Webhook",
+            "X-Jukebox-Event": delivery.event,
+            "X-Jukebox-Delivery": delivery.id,
+            "X-Jukebox-Signature": `sha256=${signPayload(hook.secret, delivery.body)}`,
+          },
+          body: delivery.body,
+          redirect: "manual",
+          signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+        });
+        status = res.status;
+        if (!res.ok) error = `HTTP ${status}`;
+      }
+    } catch (err) {
+      error = err.name === "TimeoutError" ? "Timed out" : "Connection failed";
+    }
+
+    const retryable =
+      error &&
+      !refused &&
+      (status === 0 || status === 408 || status === 429 || status >= 500);
+    const retrying = retryable && delivery.attempt < this.maxAttempts;
+    const delay = this.retryBaseMs * 2 ** (delivery.attempt - 1);
+
+    if (retrying) {
+      const timer = setTimeout(() => {
+        this.retries.delete(delivery);
+        this.queue.push(delivery);
+        this._pump();
+      }, delay);
+      this.retries.set(delivery, timer);
+    } else if (error) {
+      hook.failed++;
+    } else {
+      hook.delivered++;
+    }
+
+    hook.lastDelivery = {
+      event: delivery.event,
+      ok: !error,
+      status,
+      error,
+      attempts: delivery.attempt,
+      at: Date.now(),
+      nextRetryAt: retrying ? Date.now() + delay : null,
+    };
+    this.onStatus(delivery.roomId);
+  }
+}
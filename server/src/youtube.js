@@ -3,6 +3,8 @@
  * No API keys required — uses YouTube's public oEmbed endpoint.
  */
 
+import { metrics } from "./metrics.js";
+
 /**
  * Extract an 11-character YouTube video ID from various URL formats
  * or raw video IDs.
@@ -91,30 +93,207 @@ function isValidId(id) {
 
 /**
  * Fetch video title and thumbnail via YouTube's oEmbed API.
- * Falls back gracefully if the request fails.
+ * Falls back gracefully if the request fails. With a `cache`, repeated and
+ * concurrent lookups for the same video share one request.
  *
  * @param {string} youtubeId - 11-char YouTube video ID
+ * @param {MetaCache} [cache]
+ * @param {string} [fallbackTitle] - title to use when the lookup fails
  * @returns {Promise<{ title: string, thumbnail: string }>}
  */
-export async function fetchVideoMeta(youtubeId) {
-  const fallback = {
-    title: "Unknown Track",
-    thumbnail: `https://img.youtube.com/vi/${youtubeId}/mqdefault.jpg`,
-  };
+export async function fetchVideoMeta(
+  youtubeId,
+  cache = null,
+  fallbackTitle = "Unknown Track",
+) {
+  const meta = cache
+    ? await cache.lookup(youtubeId, fetchOEmbed)
+    : await fetchOEmbed(youtubeId);
+
+  return (
+    meta || {
+      title: fallbackTitle,
+      thumbnail: thumbnailUrl(youtubeId),
+    }
+  );
+}
 
+/**
+ * One oEmbed request.
+ * @param {string} youtubeId
+ * @returns {Promise<{ title: string, thumbnail: string }|null>} null on failure
+ */
+async function fetchOEmbed(youtubeId) {
+  const endTimer = metrics.oembedDuration.startTimer();
   try {
     const oembedUrl = `https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${encodeURIComponent(youtubeId)}&format=json`;
     const res = await fetch(oembedUrl, { signal: AbortSignal.timeout(8000) });
 
-    if (!res.ok) return fallback;
+    if (!res.ok) {
+      metrics.oembedFailures.inc({ reason: `http_${res.status}` });
+      return null;
+    }
 
     const data = await res.json();
 
     return {
-      title: data.title || fallback.title,
-      thumbnail: `https://img.youtube.com/vi/${youtubeId}/mqdefault.jpg`,
+      title: data.title || "Unknown Track",
+      thumbnail: thumbnailUrl(youtubeId),
     };
-  } catch {
-    return fallback;
+  } catch (err) {
+    metrics.oembedFailures.inc({
+      reason: err?.name === "TimeoutError" ? "timeout" : "network",
+    });
+    return null;
+  } finally {
+    endTimer();
+  }
+}
+
+/**
+ * @param {string} youtubeId
+ * @returns {string}
+ */
+function thumbnailUrl(youtubeId) {
+  return `https://img.youtube.com/vi/${youtubeId}/mqdefault.jpg`;
+}
+
+// ─── Metadata Cache ──────────────────────────────────────────────────────────
+
+/**
+ * LRU + TTL cache of oEmbed results, keyed by video ID.
+ * Failed lookups are cached too (as `null`) for `negativeTtlMs`, so a dead
+ * or private video isn't re-requested on every add.
+ */
+export class MetaCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxSize] - entries kept before evicting the least recently used
+   * @param {number} [options.ttlMs] - lifetime of a successful lookup
+   * @param {number} [options.negativeTtlMs] - lifetime of a failed lookup (0 = don't cache)
+   */
+  constructor(options = {}) {
+    this.maxSize = options.maxSize ?? 1000;
+    this.ttlMs = options.ttlMs ?? 24 * 60 * 60_000;
+    this.negativeTtlMs = options.negativeTtlMs ?? 60_000;
+
+    /** @type {Map<string, { meta: object|null, expiresAt: number }>} least recently used first */
+    this.entries = new Map();
+
+    /** @type {Map<string, Promise<object|null>>} video ID → lookup in progress */
+    this.inflight = new Map();
+
+    this.hits = 0;
+    this.misses = 0;
+    this.coalesced = 0; // lookups that joined one already in flight
+  }
+
+  /**
+   * Return the cached result for a video, or run `fetcher` once for all
+   * concurrent callers and cache what it returns.
+   *
+   * @param {string} youtubeId
+   * @param {(youtubeId: string) => Promise<object|null>} fetcher - must not reject
+   * @returns {Promise<object|null>}
+   */
+  lookup(youtubeId, fetcher) {
+    const entry = this._get(youtubeId);
+    if (entry) {
+      this.hits++;
+      return Promise.resolve(entry.meta);
+    }
+
+    const pending = this.inflight.get(youtubeId);
+    if (pending) {
+      this.coalesced++;
+      return pending;
+    }
+
+    this.misses++;
+    const promise = fetcher(youtubeId)
+      .then((meta) => {
+        this._set(youtubeId, meta);
+        return meta;
+      })
+      .finally(() => this.inflight.delete(youtubeId));
+
+    this.inflight.set(youtubeId, promise);
+    return promise;
+  }
+
+  /**
+   * @returns {{ size: number, hits: number, misses: number, coalesced: number, inflight: number }}
+   */
+  stats() {
+    return {
+      size: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+      coalesced: this.coalesced,
+      inflight: this.inflight.size,
+    };
+  }
+
+  /**
+   * Successful, unexpired entries as JSON-safe `[id, meta, expiresAt]`
+   * tuples, least recently used first.
+   * @returns {Array<[string, object, number]>}
+   */
+  snapshot() {
+    const now = Date.now();
+    const out = [];
+    for (const [id, { meta, expiresAt }] of this.entries) {
+      if (meta && expiresAt > now) out.push([id, meta, expiresAt]);
+    }
+    return out;
+  }
+
+  /**
+   * Load entries produced by `snapshot()`, skipping expired ones.
+   * @param {Array<[string, object, number]>} entries
+   */
+  restore(entries) {
+    const now = Date.now();
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const [id, meta, expiresAt] = Array.isArray(entry) ? entry : [];
+      if (!isValidId(id) || !meta || !(expiresAt > now)) continue;
+      this.entries.delete(id);
+      this.entries.set(id, { meta, expiresAt });
+    }
+    this._evict();
+  }
+
+  /**
+   * @param {string} youtubeId
+   * @returns {{ meta: object|null, expiresAt: number }|null}
+   */
+  _get(youtubeId) {
+    const entry = this.entries.get(youtubeId);
+    if (!entry) return null;
+
+    this.entries.delete(youtubeId);
+    if (entry.expiresAt <= Date.now()) return null;
+
+    this.entries.set(youtubeId, entry); // mark as most recently used
+    return entry;
+  }
+
+  /**
+   * @param {string} youtubeId
+   * @param {object|null} meta - null for a failed lookup
+   */
+  _set(youtubeId, meta) {
+    const ttl = meta ? this.ttlMs : this.negativeTtlMs;
+    if (!(ttl > 0) || this.maxSize <= 0) return;
+
+    this.entries.delete(youtubeId);
+    this.entries.set(youtubeId, { meta, expiresAt: Date.now() + ttl });
+    this._evict();
+  }
+
+  _evict() {
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
   }
 }